@@ -1,27 +1,32 @@
-const jwt = require("jsonwebtoken");
+const { verifyAccessToken } = require("../utils/tokens");
+const { isSessionActive } = require("../utils/sessions");
+const { AppError } = require("../utils/errors");
 
-const authMiddleware = (req, res, next) => {
+const authMiddleware = async (req, res, next) => {
     const token = req.headers["authorization"]?.split(" ")[1];
 
     if (!token) {
-        return res.status(403).json({
-            success: false,
-            error: "Token is required for this route",
-            data: null,
-        });
+        return next(new AppError(403, "Token is required for this route"));
     }
 
+    let decoded;
     try {
-        const decoded = jwt.verify(token, process.env.JWT_SECRET);
-        req.user = decoded;
-        next();
+        decoded = verifyAccessToken(token);
     } catch (err) {
-        return res.status(401).json({
-            success: false,
-            error: "Invalid or expired token",
-            data: null,
-        });
+        return next(new AppError(401, "Invalid or expired token", { code: "INVALID_TOKEN" }));
     }
+
+    try {
+        // Tokens stop working as soon as their session is revoked
+        if (!(await isSessionActive(decoded.sessionId))) {
+            return next(new AppError(401, "Session has been revoked", { code: "SESSION_REVOKED" }));
+        }
+    } catch (err) {
+        return next(err);
+    }
+
+    req.user = decoded;
+    next();
 };
 
 module.exports = authMiddleware;
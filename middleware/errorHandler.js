@@ -0,0 +1,62 @@
+const { AppError } = require("../utils/errors");
+
+// Known errors from libraries, mapped to client-safe errors
+const toAppError = (err) => {
+    if (err instanceof AppError) {
+        return err;
+    }
+
+    switch (err.code) {
+        case "ER_DUP_ENTRY":
+            return new AppError(409, "This resource already exists.");
+        case "ER_NO_REFERENCED_ROW":
+        case "ER_NO_REFERENCED_ROW_2":
+            return new AppError(404, "A referenced resource does not exist.");
+        case "LIMIT_FILE_SIZE":
+            return new AppError(413, "The uploaded file is too large.");
+        case "LIMIT_UNEXPECTED_FILE":
+            return new AppError(400, "Unexpected file field.");
+    }
+
+    // body-parser errors carry a status and a type
+    if (err.type === "entity.parse.failed") {
+        return new AppError(400, "Request body is not valid JSON.", { code: "INVALID_JSON" });
+    }
+    if (err.type === "entity.too.large") {
+        return new AppError(413, "Request body is too large.");
+    }
+
+    return new AppError(500, "Something went wrong. Please try again later.");
+};
+
+// Express recognises error handlers by their four arguments, so `next` must stay
+const errorHandler = (err, req, res, next) => {
+    const appError = toAppError(err);
+
+    // Full details stay in the server logs; SQL and stack traces never reach the client
+    if (appError.status >= 500) {
+        console.error(`[${req.id}] ${req.method} ${req.originalUrl} failed:`, err);
+    }
+
+    if (res.headersSent) {
+        return;
+    }
+
+    res.status(appError.status).json({
+        success: false,
+        error: {
+            code: appError.code,
+            message: appError.message,
+            details: appError.details,
+            requestId: req.id,
+        },
+        data: null,
+    });
+};
+
+// Unmatched routes
+const notFoundHandler = (req, res, next) => {
+    next(new AppError(404, `Route ${req.method} ${req.path} not found.`));
+};
+
+module.exports = { errorHandler, notFoundHandler };
@@ -0,0 +1,10 @@
+const crypto = require("crypto");
+
+// Tag every request with an id that is returned to the client and included in server logs
+const requestId = (req, res, next) => {
+    req.id = crypto.randomUUID();
+    res.set("X-Request-Id", req.id);
+    next();
+};
+
+module.exports = requestId;
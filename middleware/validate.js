@@ -0,0 +1,146 @@
+// Schema-based request validation.
+//
+// Usage: router.post("/path", validate({ body: { ... }, query: { ... }, params: { ... } }), handler)
+// Socket events: validatePayload(data, { ... }) with the same field rules.
+//
+// Each field rule can have:
+//   type       - "string" | "integer" | "boolean" | "email" | "username" | "object" | "array"
+//   required   - reject the request if the field is missing or empty
+//   minLength / maxLength - for strings
+//   min / max  - for integers
+//   enum       - list of allowed values
+//   pattern    - RegExp the string must match
+//   fields     - nested schema for "object" fields
+//   items      - rule every element of an "array" field must satisfy
+//   minItems / maxItems - for arrays
+//
+// Integers and booleans are coerced from strings (query strings, params and multipart forms
+// only carry strings). Body fields not declared in the schema are dropped.
+
+const { AppError } = require("../utils/errors");
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const USERNAME_PATTERN = /^[a-zA-Z0-9._]{3,30}$/;
+
+const isEmpty = (value) => value === undefined || value === null || (typeof value === "string" && value.trim() === "");
+
+// Returns [coercedValue, errorMessage]
+const checkField = (value, rule) => {
+    switch (rule.type) {
+        case "integer": {
+            const number = typeof value === "string" && /^-?\d+$/.test(value.trim()) ? Number(value) : value;
+            if (!Number.isInteger(number)) return [value, "must be an integer"];
+            if (rule.min !== undefined && number < rule.min) return [value, `must be at least ${rule.min}`];
+            if (rule.max !== undefined && number > rule.max) return [value, `must be at most ${rule.max}`];
+            value = number;
+            break;
+        }
+        case "boolean": {
+            const booleans = { true: true, false: false, 1: true, 0: false };
+            if (typeof value !== "boolean" && !(String(value) in booleans)) return [value, "must be a boolean"];
+            value = typeof value === "boolean" ? value : booleans[String(value)];
+            break;
+        }
+        case "object": {
+            if (typeof value !== "object" || Array.isArray(value)) return [value, "must be an object"];
+            break;
+        }
+        case "array": {
+            if (!Array.isArray(value)) return [value, "must be an array"];
+            if (rule.minItems !== undefined && value.length < rule.minItems) return [value, `must have at least ${rule.minItems} items`];
+            if (rule.maxItems !== undefined && value.length > rule.maxItems) return [value, `must have at most ${rule.maxItems} items`];
+            if (rule.items) {
+                const items = [];
+                for (const [index, item] of value.entries()) {
+                    const [coerced, message] = isEmpty(item) ? [item, "is required"] : checkField(item, rule.items);
+                    if (message) return [value, `item ${index} ${message}`];
+                    items.push(coerced);
+                }
+                value = items;
+            }
+            break;
+        }
+        default: {
+            if (typeof value !== "string") return [value, "must be a string"];
+            if (rule.type === "email" && !EMAIL_PATTERN.test(value)) return [value, "must be a valid email address"];
+            if (rule.type === "username" && !USERNAME_PATTERN.test(value)) {
+                return [value, "must be 3-30 characters using letters, numbers, '.' or '_'"];
+            }
+            if (rule.minLength !== undefined && value.length < rule.minLength) return [value, `must be at least ${rule.minLength} characters`];
+            if (rule.maxLength !== undefined && value.length > rule.maxLength) return [value, `must be at most ${rule.maxLength} characters`];
+            if (rule.pattern && !rule.pattern.test(value)) return [value, "has an invalid format"];
+        }
+    }
+
+    if (rule.enum && !rule.enum.includes(value)) {
+        return [value, `must be one of: ${rule.enum.join(", ")}`];
+    }
+
+    return [value, null];
+};
+
+// Validates `source` against `schema`, collecting errors; returns the cleaned object
+const checkObject = (source, schema, path, errors, stripUnknown) => {
+    const input = source || {};
+    const output = stripUnknown ? {} : { ...input };
+
+    for (const [name, rule] of Object.entries(schema)) {
+        const fieldPath = `${path}.${name}`;
+        const value = input[name];
+
+        if (isEmpty(value)) {
+            if (rule.required) errors.push({ field: fieldPath, message: "is required" });
+            continue;
+        }
+
+        const [coerced, message] = checkField(value, rule);
+        if (message) {
+            errors.push({ field: fieldPath, message });
+            continue;
+        }
+
+        output[name] = rule.type === "object" && rule.fields ? checkObject(coerced, rule.fields, fieldPath, errors, stripUnknown) : coerced;
+    }
+
+    return output;
+};
+
+const toValidationError = (errors) => {
+    const summary = errors.map((e) => `${e.field} ${e.message}`).join("; ");
+    return new AppError(400, `Invalid request: ${summary}`, { code: "VALIDATION_ERROR", details: { fields: errors } });
+};
+
+const validate = (schemas) => (req, res, next) => {
+    const errors = [];
+    const validated = {};
+
+    for (const location of ["params", "query", "body"]) {
+        if (schemas[location]) {
+            validated[location] = checkObject(req[location], schemas[location], location, errors, location === "body");
+        }
+    }
+
+    if (errors.length > 0) {
+        return next(toValidationError(errors));
+    }
+
+    Object.assign(req, validated);
+    next();
+};
+
+// Validate a socket event payload against a field schema, with the same rules and coercion as
+// request bodies except that undeclared fields are kept. Returns the cleaned payload or throws
+// the same VALIDATION_ERROR the REST API sends.
+const validatePayload = (payload, schema) => {
+    const errors = [];
+    const validated = checkObject(payload, schema, "payload", errors, false);
+
+    if (errors.length > 0) {
+        throw toValidationError(errors);
+    }
+
+    return validated;
+};
+
+module.exports = validate;
+module.exports.validatePayload = validatePayload;
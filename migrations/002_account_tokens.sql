@@ -0,0 +1,19 @@
+-- Email verification and password reset
+ALTER TABLE users ADD COLUMN email_verified TINYINT(1) NOT NULL DEFAULT 0;
+
+-- Accounts created before verification existed are treated as verified
+UPDATE users SET email_verified = 1;
+
+-- One row per issued action token, so each token can only be used once
+CREATE TABLE IF NOT EXISTS account_tokens (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    user_id INT NOT NULL,
+    purpose ENUM('email_verification', 'password_reset') NOT NULL,
+    jti CHAR(32) NOT NULL,
+    created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    expires_at DATETIME NOT NULL,
+    used_at DATETIME NULL,
+    UNIQUE KEY uq_account_tokens_jti (jti),
+    KEY idx_account_tokens_user_purpose (user_id, purpose),
+    CONSTRAINT fk_account_tokens_user FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
+);
@@ -0,0 +1,19 @@
+-- Login methods attached to a user. A user can hold several providers.
+CREATE TABLE IF NOT EXISTS user_identities (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    user_id INT NOT NULL,
+    provider ENUM('password', 'google') NOT NULL,
+    -- Google's "sub" claim; NULL for password identities
+    provider_user_id VARCHAR(255) NULL,
+    created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE KEY uq_user_identities_user_provider (user_id, provider),
+    UNIQUE KEY uq_user_identities_provider_subject (provider, provider_user_id),
+    CONSTRAINT fk_user_identities_user FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
+);
+
+INSERT INTO user_identities (user_id, provider)
+SELECT id, 'password' FROM users WHERE password IS NOT NULL;
+
+-- Existing Google accounts have no recorded subject yet; it is filled in on their next Google login
+INSERT INTO user_identities (user_id, provider)
+SELECT id, 'google' FROM users WHERE password IS NULL;
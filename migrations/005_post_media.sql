@@ -0,0 +1,24 @@
+-- Ordered media items (images and videos) for carousel posts.
+-- posts.file_url, media_width and media_height keep describing the first item for older clients.
+CREATE TABLE IF NOT EXISTS post_media (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    post_id INT NOT NULL,
+    position TINYINT UNSIGNED NOT NULL,
+    media_type ENUM('image', 'video') NOT NULL,
+    file_url VARCHAR(1024) NOT NULL,
+    media_width INT NULL,
+    media_height INT NULL,
+    alt_text VARCHAR(1000) NULL,
+    created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE KEY uq_post_media_post_position (post_id, position),
+    CONSTRAINT fk_post_media_post FOREIGN KEY (post_id) REFERENCES posts (id) ON DELETE CASCADE
+);
+
+-- Existing single-file posts become one-item carousels
+INSERT INTO post_media (post_id, position, media_type, file_url, media_width, media_height)
+SELECT id, 0,
+    CASE WHEN LOWER(file_url) REGEXP '\\.(mp4|mov|m4v|webm)$' THEN 'video' ELSE 'image' END,
+    file_url, media_width, media_height
+FROM posts
+WHERE file_url IS NOT NULL
+AND id NOT IN (SELECT post_id FROM post_media);
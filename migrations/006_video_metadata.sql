@@ -0,0 +1,13 @@
+-- Duration and poster frame for transcoded videos. NULL for images and videos uploaded before this.
+ALTER TABLE post_media
+    ADD COLUMN duration_seconds DECIMAL(8, 3) NULL,
+    ADD COLUMN thumbnail_url VARCHAR(1024) NULL;
+
+-- Mirrors the first media item, like file_url
+ALTER TABLE posts
+    ADD COLUMN duration_seconds DECIMAL(8, 3) NULL,
+    ADD COLUMN thumbnail_url VARCHAR(1024) NULL;
+
+ALTER TABLE stories
+    ADD COLUMN duration_seconds DECIMAL(8, 3) NULL,
+    ADD COLUMN thumbnail_url VARCHAR(1024) NULL;
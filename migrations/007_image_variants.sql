@@ -0,0 +1,6 @@
+-- Resized WebP/JPEG copies of uploaded images:
+-- { "thumbnail": { "width", "height", "webp", "jpeg" }, "medium": {...}, "full": {...} }
+-- NULL for videos, GIFs and images uploaded before variants existed.
+ALTER TABLE post_media ADD COLUMN variants JSON NULL;
+ALTER TABLE stories ADD COLUMN variants JSON NULL;
+ALTER TABLE messages ADD COLUMN variants JSON NULL;
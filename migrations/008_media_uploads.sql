@@ -0,0 +1,16 @@
+-- Direct-to-storage uploads: a row per presigned URL, claimed once by a finalize endpoint
+CREATE TABLE IF NOT EXISTS media_uploads (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    user_id INT NOT NULL,
+    purpose ENUM('post', 'story', 'message') NOT NULL,
+    storage_key VARCHAR(1024) NOT NULL,
+    file_name VARCHAR(255) NOT NULL,
+    content_type VARCHAR(100) NOT NULL,
+    size_bytes BIGINT NOT NULL,
+    status ENUM('pending', 'finalized') NOT NULL DEFAULT 'pending',
+    created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    expires_at DATETIME NOT NULL,
+    finalized_at DATETIME NULL,
+    KEY idx_media_uploads_user_id (user_id),
+    CONSTRAINT fk_media_uploads_user FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
+);
@@ -0,0 +1,3 @@
+-- Threaded replies: comments.parent_comment_id points at a top-level comment (one level deep).
+-- Serves the replies of a comment oldest first (GET /api/posts/comment/:commentId/replies).
+ALTER TABLE comments ADD KEY idx_comments_parent_created (parent_comment_id, created_at, id);
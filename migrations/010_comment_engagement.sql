@@ -0,0 +1,18 @@
+-- Comment likes, edit tracking and pinning
+CREATE TABLE IF NOT EXISTS comment_likes (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    comment_id INT NOT NULL,
+    user_id INT NOT NULL,
+    created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE KEY uq_comment_likes_comment_user (comment_id, user_id),
+    KEY idx_comment_likes_user_id (user_id),
+    CONSTRAINT fk_comment_likes_comment FOREIGN KEY (comment_id) REFERENCES comments (id) ON DELETE CASCADE,
+    CONSTRAINT fk_comment_likes_user FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
+);
+
+-- edited_at is set by the author's last edit; pinned_at by the post author (at most three per post)
+ALTER TABLE comments
+    ADD COLUMN is_edited BOOLEAN NOT NULL DEFAULT FALSE,
+    ADD COLUMN edited_at DATETIME NULL,
+    ADD COLUMN pinned_at DATETIME NULL,
+    ADD KEY idx_comments_post_pinned (post_id, pinned_at);
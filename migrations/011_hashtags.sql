@@ -0,0 +1,26 @@
+-- Hashtags parsed from post captions and comments. Tags are stored lowercase without the "#";
+-- the binary collation keeps accented and unaccented spellings apart.
+CREATE TABLE IF NOT EXISTS hashtags (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    tag VARCHAR(100) CHARACTER SET utf8mb4 COLLATE utf8mb4_bin NOT NULL,
+    created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE KEY uq_hashtags_tag (tag)
+);
+
+CREATE TABLE IF NOT EXISTS post_hashtags (
+    post_id INT NOT NULL,
+    hashtag_id INT NOT NULL,
+    PRIMARY KEY (post_id, hashtag_id),
+    KEY idx_post_hashtags_hashtag_id (hashtag_id),
+    CONSTRAINT fk_post_hashtags_post FOREIGN KEY (post_id) REFERENCES posts (id) ON DELETE CASCADE,
+    CONSTRAINT fk_post_hashtags_hashtag FOREIGN KEY (hashtag_id) REFERENCES hashtags (id) ON DELETE CASCADE
+);
+
+CREATE TABLE IF NOT EXISTS comment_hashtags (
+    comment_id INT NOT NULL,
+    hashtag_id INT NOT NULL,
+    PRIMARY KEY (comment_id, hashtag_id),
+    KEY idx_comment_hashtags_hashtag_id (hashtag_id),
+    CONSTRAINT fk_comment_hashtags_comment FOREIGN KEY (comment_id) REFERENCES comments (id) ON DELETE CASCADE,
+    CONSTRAINT fk_comment_hashtags_hashtag FOREIGN KEY (hashtag_id) REFERENCES hashtags (id) ON DELETE CASCADE
+);
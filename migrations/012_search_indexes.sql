@@ -0,0 +1,2 @@
+-- Full-text search over post captions and locations (GET /api/search?type=posts)
+ALTER TABLE posts ADD FULLTEXT INDEX ft_posts_content_location (content, location);
@@ -0,0 +1,2 @@
+-- 2FA login challenges are recorded like other action tokens, so each one can only be used once
+ALTER TABLE account_tokens MODIFY COLUMN purpose ENUM('email_verification', 'password_reset', 'two_factor_challenge') NOT NULL;
@@ -1,13 +1,71 @@
 const express = require("express");
 const bcrypt = require("bcryptjs");
-const jwt = require("jsonwebtoken");
 const db = require("../db");
 const router = express.Router();
+const authMiddleware = require("../middleware/auth");
+const validate = require("../middleware/validate");
+const { AppError } = require("../utils/errors");
+const { sendSuccess } = require("../utils/response");
+const { createSession, rotateSession, listSessions, revokeSession, revokeAllSessions } = require("../utils/sessions");
+const { consumeAccountToken, sendVerificationEmail, sendPasswordResetEmail } = require("../utils/accountTokens");
+const { getIdentities, hasIdentity, addIdentity, removeIdentity, findUserByGoogleSubject } = require("../utils/identities");
+const { generateSecret, buildOtpauthUri } = require("../utils/totp");
+const { createThrottle } = require("../utils/throttle");
+const {
+    issueChallenge,
+    verifyChallenge,
+    consumeChallenge,
+    verifyTotpForUser,
+    regenerateRecoveryCodes,
+    consumeRecoveryCode,
+    deleteRecoveryCodes,
+} = require("../utils/twoFactor");
 
 const { OAuth2Client } = require("google-auth-library");
-const client = new OAuth2Client("702353220748-2lmc03lb4tcfnuqds67h8bbupmb1aa0q.apps.googleusercontent.com");
+const client = new OAuth2Client(process.env.GOOGLE_CLIENT_ID);
 
-router.post("/register", async (req, res) => {
+// When enabled, password logins are refused until the user has verified their email
+const isEmailVerificationRequired = () => process.env.REQUIRE_EMAIL_VERIFICATION === "true";
+
+// Failed login throttling, per client IP and per account
+const ipThrottle = createThrottle({ maxAttempts: 20, baseLockSeconds: 60 });
+const accountThrottle = createThrottle({ maxAttempts: 5, baseLockSeconds: 30 });
+
+// Same message whether the account exists or not, so logins can't be used to find accounts
+const INVALID_LOGIN_ERROR = "Invalid email or password. If you signed up with Google, log in with Google instead.";
+
+// Compared against when the account doesn't exist, so both cases take as long
+const DUMMY_PASSWORD_HASH = bcrypt.hashSync("link-dummy-password", 10);
+
+const sendTooManyAttempts = (res, next, retryAfter) => {
+    res.set("Retry-After", String(retryAfter));
+    return next(new AppError(429, `Too many failed attempts. Try again in ${retryAfter} seconds.`, { code: "RATE_LIMITED" }));
+};
+
+// Request schemas
+const passwordRule = { type: "string", required: true, minLength: 8, maxLength: 128 };
+const tokenRule = { type: "string", required: true };
+
+const schemas = {
+    register: {
+        body: { email: { type: "email", required: true, maxLength: 255 }, username: { type: "username", required: true }, password: passwordRule },
+    },
+    login: { body: { email: { type: "string", required: true, maxLength: 255 }, password: { type: "string", required: true, maxLength: 128 } } },
+    googleLogin: { body: { token: tokenRule } },
+    twoFactorVerify: {
+        body: { challengeToken: tokenRule, code: { type: "string", pattern: /^\d{6}$/ }, recoveryCode: { type: "string", maxLength: 32 } },
+    },
+    twoFactorEnable: { body: { code: { type: "string", required: true, pattern: /^\d{6}$/ } } },
+    twoFactorDisable: { body: { password: { type: "string", required: true, maxLength: 128 } } },
+    verifyEmail: { body: { token: tokenRule } },
+    emailOnly: { body: { email: { type: "email", required: true, maxLength: 255 } } },
+    resetPassword: { body: { token: tokenRule, password: passwordRule } },
+    setPassword: { body: { password: passwordRule } },
+    refresh: { body: { refreshToken: tokenRule } },
+    sessionParams: { params: { sessionId: { type: "integer", required: true, min: 1 } } },
+};
+
+router.post("/register", validate(schemas.register), async (req, res, next) => {
     const { email, username, password } = req.body;
 
     const hashedPassword = await bcrypt.hash(password, 10);
@@ -15,208 +73,617 @@ router.post("/register", async (req, res) => {
     const checkUserQuery = "SELECT * FROM users WHERE email = ? OR username = ?";
     db.query(checkUserQuery, [email, username], (err, result) => {
         if (err) {
-            return res.status(500).json({
-                success: false,
-                error: err.message,
-                data: null,
-            });
+            return next(err);
         }
 
         if (result.length > 0) {
             const existingUser = result[0];
             if (existingUser.email === email) {
-                return res.status(400).json({
-                    success: false,
-                    error: "User with the same email already exists.",
-                    data: null,
-                });
+                return next(new AppError(400, "User with the same email already exists.", { code: "EMAIL_TAKEN" }));
             }
             if (existingUser.username === username) {
-                return res.status(400).json({
-                    success: false,
-                    error: "Username already taken.",
-                    data: null,
-                });
+                return next(new AppError(400, "Username already taken.", { code: "USERNAME_TAKEN" }));
             }
         }
 
         const insertQuery = "INSERT INTO users (username, email, password) VALUES (?, ?, ?)";
         db.query(insertQuery, [username, email, hashedPassword], async (err, result) => {
             if (err) {
-                return res.status(500).json({
-                    success: false,
-                    error: err.message,
-                    data: null,
-                });
+                return next(err);
             }
 
-            // Create a JWT token after registration
             const user = { id: result.insertId, username, email }; // Adjust this as needed
-            const token = jwt.sign({ userId: user.id }, process.env.JWT_SECRET, { expiresIn: "1h" });
 
-            res.status(201).json({
-                success: true,
-                error: null,
-                data: {
+            try {
+                await addIdentity(user.id, "password");
+            } catch (identityErr) {
+                return next(identityErr);
+            }
+
+            try {
+                await sendVerificationEmail(user);
+            } catch (mailErr) {
+                console.error("Error sending verification email:", mailErr);
+            }
+
+            if (isEmailVerificationRequired()) {
+                return sendSuccess(
+                    res,
+                    {
+                        message: "User registered successfully. Please verify your email before logging in.",
+                        user: {
+                            id: user.id,
+                            username: user.username,
+                            email: user.email,
+                        },
+                    },
+                    201
+                );
+            }
+
+            // Create a session after registration
+            let session;
+            try {
+                session = await createSession(user.id, req);
+            } catch (sessionErr) {
+                return next(sessionErr);
+            }
+
+            sendSuccess(
+                res,
+                {
                     message: "User registered successfully",
-                    token,
+                    token: session.token,
+                    refreshToken: session.refreshToken,
                     user: {
                         id: user.id,
                         username: user.username,
                         email: user.email,
                     },
                 },
-            });
+                201
+            );
         });
     });
 });
 
 // Login user
-router.post("/login", (req, res) => {
+router.post("/login", validate(schemas.login), async (req, res, next) => {
     const { email, password } = req.body;
 
-    const query = "SELECT id, username, email, password, profile_picture, is_private FROM users WHERE email = ?";
+    const ipKey = `login:ip:${req.ip}`;
+    const accountKey = `login:account:${String(email).trim().toLowerCase()}`;
 
-    db.query(query, [email], async (err, results) => {
-        if (err || results.length === 0) {
-            return res.status(400).json({
-                success: false,
-                error: "User not found",
-                data: null,
-            });
+    try {
+        const retryAfter = Math.max(await ipThrottle.check(ipKey), await accountThrottle.check(accountKey));
+        if (retryAfter > 0) {
+            return sendTooManyAttempts(res, next, retryAfter);
         }
 
+        const query = "SELECT id, username, email, password, profile_picture, is_private, email_verified, totp_enabled FROM users WHERE email = ?";
+        const [results] = await db.promise().query(query, [email]);
         const user = results[0];
-        const isMatch = await bcrypt.compare(password, user.password);
-        if (!isMatch) {
-            return res.status(400).json({
-                success: false,
-                error: "Invalid credentials",
-                data: null,
-            });
-        }
-
-        const token = jwt.sign({ userId: user.id }, process.env.JWT_SECRET, { expiresIn: "1h" });
-
-        res.json({
-            success: true,
-            error: null,
-            data: {
-                token: token,
-                user: {
-                    id: user.id,
-                    username: user.username,
-                    email: user.email,
-                    profile_picture_url: user.profile_picture,
-                    is_private: user.is_private,
-                },
+
+        // Accounts created through Google have no password until the user sets one
+        const isMatch = await bcrypt.compare(String(password), user?.password || DUMMY_PASSWORD_HASH);
+        if (!user || !user.password || !isMatch) {
+            await Promise.all([ipThrottle.fail(ipKey), accountThrottle.fail(accountKey)]);
+            return next(new AppError(400, INVALID_LOGIN_ERROR, { code: "INVALID_CREDENTIALS" }));
+        }
+
+        await accountThrottle.reset(accountKey);
+
+        if (isEmailVerificationRequired() && !user.email_verified) {
+            return next(new AppError(403, "Please verify your email before logging in.", { code: "EMAIL_NOT_VERIFIED" }));
+        }
+
+        if (user.totp_enabled) {
+            return await sendTwoFactorChallenge(user, res);
+        }
+
+        const session = await createSession(user.id, req);
+
+        sendSuccess(res, {
+            token: session.token,
+            refreshToken: session.refreshToken,
+            user: {
+                id: user.id,
+                username: user.username,
+                email: user.email,
+                profile_picture_url: user.profile_picture,
+                is_private: user.is_private,
             },
         });
-    });
+    } catch (err) {
+        next(err);
+    }
 });
 
-router.post("/google-login", async (req, res) => {
+// Verify a Google ID token and return its payload
+const verifyGoogleToken = async (idToken) => {
+    const ticket = await client.verifyIdToken({
+        idToken,
+        audience: process.env.GOOGLE_CLIENT_ID,
+    });
+    return ticket.getPayload();
+};
+
+router.post("/google-login", validate(schemas.googleLogin), async (req, res, next) => {
     const { token } = req.body;
 
+    let payload;
     try {
-        // Verify the Google ID token
-        const ticket = await client.verifyIdToken({
-            idToken: token,
-            audience: process.env.GOOGLE_CLIENT_ID,
-        });
+        payload = await verifyGoogleToken(token);
+    } catch (error) {
+        console.error("Error during Google login:", error);
+        return next(new AppError(401, "Invalid Google token or authentication failed", { code: "INVALID_GOOGLE_TOKEN" }));
+    }
 
-        const payload = ticket.getPayload();
-        const { email, given_name: firstName, family_name: lastName } = payload;
+    const { sub, email, given_name: firstName, family_name: lastName } = payload;
+    const userQuery = "SELECT id, username, email, profile_picture, is_private, totp_enabled FROM users WHERE id = ?";
 
-        // Check if the user already exists in your database
-        const query = "SELECT id, username, email, profile_picture FROM users WHERE email = ?";
-        db.query(query, [email], async (err, results) => {
-            if (err) {
-                console.error("Database error:", err);
-                return res.status(500).json({
-                    success: false,
-                    error: "Database error",
-                    data: null,
-                });
-            }
+    try {
+        const linkedUserId = await findUserByGoogleSubject(sub, email);
 
-            let user = results[0];
-
-            if (!user) {
-                // Create a new user if they don't exist
-                const username = email.split("@")[0]; // Generate a username from email
-                const insertQuery = `
-                    INSERT INTO users (username, email, first_name, last_name, profile_picture, created_at, password)
-                    VALUES (?, ?, ?, ?, ?, ?, ?)
-                `;
-                const insertValues = [username, email, firstName, lastName, payload.picture, new Date(), null];
-
-                db.query(insertQuery, insertValues, (err, results) => {
-                    if (err) {
-                        console.error("Error creating user:", err);
-                        return res.status(500).json({
-                            success: false,
-                            error: "Error creating user",
-                            data: null,
-                        });
-                    }
-
-                    const newUserId = results.insertId;
-                    db.query("SELECT id, username, email, profile_picture FROM users WHERE id = ?", [newUserId], (err, results) => {
-                        if (err || results.length === 0) {
-                            console.error("Error fetching new user:", err);
-                            return res.status(500).json({
-                                success: false,
-                                error: "Error fetching new user",
-                                data: null,
-                            });
-                        }
-
-                        user = results[0];
-                        sendResponse(user, res);
-                    });
-                });
-            } else {
-                // User exists, send response
-                sendResponse(user, res);
+        if (linkedUserId) {
+            const [users] = await db.promise().query(userQuery, [linkedUserId]);
+            if (users[0].totp_enabled) {
+                return await sendTwoFactorChallenge(users[0], res);
             }
-        });
-    } catch (error) {
-        console.error("Error during Google login:", error);
-        return res.status(401).json({
-            success: false,
-            error: "Invalid Google token or authentication failed",
-            data: null,
-        });
+            return sendResponse(users[0], req, res, next);
+        }
+
+        // An account with this email exists but Google was never linked to it
+        const [existing] = await db.promise().query("SELECT id FROM users WHERE email = ?", [email]);
+        if (existing.length > 0) {
+            return next(
+                new AppError(
+                    409,
+                    "An account with this email already exists. Log in with your password, then link Google from your account settings.",
+                    { code: "GOOGLE_NOT_LINKED" }
+                )
+            );
+        }
+
+        // Create a new user if they don't exist
+        const username = email.split("@")[0]; // Generate a username from email
+        const insertQuery = `
+            INSERT INTO users (username, email, first_name, last_name, profile_picture, created_at, password, email_verified)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+        `;
+        const insertValues = [username, email, firstName, lastName, payload.picture, new Date(), null, payload.email_verified ? 1 : 0];
+
+        const [result] = await db.promise().query(insertQuery, insertValues);
+        await addIdentity(result.insertId, "google", sub);
+
+        const [users] = await db.promise().query(userQuery, [result.insertId]);
+        sendResponse(users[0], req, res, next);
+    } catch (err) {
+        return next(new AppError(500, "Error logging in with Google", { cause: err }));
     }
 });
 
 // Helper function to send the response
-const sendResponse = (user, res) => {
-    const token = jwt.sign(
-        {
+const sendResponse = async (user, req, res, next) => {
+    let session;
+    try {
+        session = await createSession(user.id, req);
+    } catch (err) {
+        return next(new AppError(500, "Error creating session", { cause: err }));
+    }
+
+    // Return success response with user details and tokens
+    return sendSuccess(res, {
+        token: session.token,
+        refreshToken: session.refreshToken,
+        user: {
             id: user.id,
-            email: user.email,
             username: user.username,
+            email: user.email,
+            profile_picture_url: user.profile_picture,
+            is_private: user.is_private,
         },
-        process.env.JWT_SECRET || "secret123",
-        { expiresIn: "1h" } // Token expiration time
-    );
-
-    // Return success response with user details and token
-    return res.json({
-        success: true,
-        error: null,
-        data: {
-            token: token,
-            user: {
-                id: user.id,
-                username: user.username,
-                email: user.email,
-                profile_picture_url: user.profile_picture,
-            },
-        },
     });
 };
 
+// With 2FA enabled, logins get a challenge to exchange at /2fa/verify instead of tokens
+const sendTwoFactorChallenge = async (user, res) => {
+    return sendSuccess(res, {
+        twoFactorRequired: true,
+        challengeToken: await issueChallenge(user.id),
+    });
+};
+
+// Exchange a login challenge plus a TOTP code (or a recovery code) for a session
+router.post("/2fa/verify", validate(schemas.twoFactorVerify), async (req, res, next) => {
+    const { challengeToken, code, recoveryCode } = req.body;
+
+    if (!challengeToken || (!code && !recoveryCode)) {
+        return next(new AppError(400, "Challenge token and a code are required"));
+    }
+
+    try {
+        const challenge = await verifyChallenge(challengeToken);
+        if (!challenge) {
+            return next(new AppError(401, "Invalid or expired challenge. Please log in again.", { code: "INVALID_CHALLENGE" }));
+        }
+
+        const { userId } = challenge;
+        const accountKey = `2fa:account:${userId}`;
+        const retryAfter = await accountThrottle.check(accountKey);
+        if (retryAfter > 0) {
+            return sendTooManyAttempts(res, next, retryAfter);
+        }
+
+        const [users] = await db
+            .promise()
+            .query("SELECT id, username, email, profile_picture, is_private, totp_secret, totp_enabled FROM users WHERE id = ?", [userId]);
+        const user = users[0];
+
+        if (!user || !user.totp_enabled) {
+            return next(new AppError(401, "Invalid or expired challenge. Please log in again.", { code: "INVALID_CHALLENGE" }));
+        }
+
+        const isValid = code ? await verifyTotpForUser(user.id, user.totp_secret, code) : await consumeRecoveryCode(user.id, recoveryCode);
+        if (!isValid) {
+            await accountThrottle.fail(accountKey);
+            return next(new AppError(401, "Invalid verification code", { code: "INVALID_CODE" }));
+        }
+
+        await accountThrottle.reset(accountKey);
+
+        // A challenge is good for one session, even if the user has more valid codes
+        if (!(await consumeChallenge(challenge))) {
+            return next(new AppError(401, "Invalid or expired challenge. Please log in again.", { code: "INVALID_CHALLENGE" }));
+        }
+
+        sendResponse(user, req, res, next);
+    } catch (err) {
+        next(err);
+    }
+});
+
+// Start 2FA enrollment: generate a secret and the otpauth URI to show as a QR code
+router.post("/2fa/setup", authMiddleware, async (req, res, next) => {
+    const { userId } = req.user;
+
+    try {
+        const [users] = await db.promise().query("SELECT email, totp_enabled FROM users WHERE id = ?", [userId]);
+
+        if (users.length === 0) {
+            return next(new AppError(404, "User not found"));
+        }
+
+        if (users[0].totp_enabled) {
+            return next(new AppError(409, "Two-factor authentication is already enabled"));
+        }
+
+        const secret = generateSecret();
+        await db.promise().query("UPDATE users SET totp_secret = ?, totp_last_step = NULL WHERE id = ?", [secret, userId]);
+
+        sendSuccess(res, {
+            secret,
+            otpauthUri: buildOtpauthUri(secret, users[0].email),
+        });
+    } catch (err) {
+        next(err);
+    }
+});
+
+// Finish enrollment by confirming the first code; returns the one-time recovery codes
+router.post("/2fa/enable", authMiddleware, validate(schemas.twoFactorEnable), async (req, res, next) => {
+    const { userId } = req.user;
+    const { code } = req.body;
+
+    try {
+        const [users] = await db.promise().query("SELECT totp_secret, totp_enabled FROM users WHERE id = ?", [userId]);
+        const user = users[0];
+
+        if (!user) {
+            return next(new AppError(404, "User not found"));
+        }
+
+        if (user.totp_enabled) {
+            return next(new AppError(409, "Two-factor authentication is already enabled"));
+        }
+
+        if (!user.totp_secret) {
+            return next(new AppError(400, "Start two-factor setup first"));
+        }
+
+        if (!(await verifyTotpForUser(userId, user.totp_secret, code))) {
+            return next(new AppError(400, "Invalid verification code", { code: "INVALID_CODE" }));
+        }
+
+        await db.promise().query("UPDATE users SET totp_enabled = 1 WHERE id = ?", [userId]);
+        const recoveryCodes = await regenerateRecoveryCodes(userId);
+
+        sendSuccess(res, {
+            message: "Two-factor authentication enabled",
+            recoveryCodes,
+        });
+    } catch (err) {
+        next(err);
+    }
+});
+
+// Turn 2FA off. Requires the account password.
+router.post("/2fa/disable", authMiddleware, validate(schemas.twoFactorDisable), async (req, res, next) => {
+    const { userId } = req.user;
+    const { password } = req.body;
+
+    try {
+        const [users] = await db.promise().query("SELECT password, totp_enabled FROM users WHERE id = ?", [userId]);
+        const user = users[0];
+
+        if (!user) {
+            return next(new AppError(404, "User not found"));
+        }
+
+        if (!user.totp_enabled) {
+            return next(new AppError(400, "Two-factor authentication is not enabled"));
+        }
+
+        if (!user.password) {
+            return next(new AppError(400, "Set a password on your account before disabling two-factor authentication."));
+        }
+
+        if (!password || !(await bcrypt.compare(password, user.password))) {
+            return next(new AppError(401, "Invalid credentials", { code: "INVALID_CREDENTIALS" }));
+        }
+
+        await db.promise().query("UPDATE users SET totp_enabled = 0, totp_secret = NULL, totp_last_step = NULL WHERE id = ?", [userId]);
+        await deleteRecoveryCodes(userId);
+
+        sendSuccess(res, { message: "Two-factor authentication disabled" });
+    } catch (err) {
+        next(err);
+    }
+});
+
+// Confirm an email address with the token from the verification email
+router.post("/verify-email", validate(schemas.verifyEmail), async (req, res, next) => {
+    const { token } = req.body;
+
+    try {
+        const userId = await consumeAccountToken(token, "email_verification");
+
+        if (!userId) {
+            return next(new AppError(400, "Invalid or expired verification token", { code: "INVALID_TOKEN" }));
+        }
+
+        await db.promise().query("UPDATE users SET email_verified = 1 WHERE id = ?", [userId]);
+
+        sendSuccess(res, { message: "Email verified successfully" });
+    } catch (err) {
+        next(err);
+    }
+});
+
+// Send a new verification email. Always succeeds so it can't be used to look up accounts.
+router.post("/resend-verification", validate(schemas.emailOnly), async (req, res, next) => {
+    const { email } = req.body;
+
+    try {
+        const [users] = await db.promise().query("SELECT id, username, email, email_verified FROM users WHERE email = ?", [email]);
+
+        if (users.length > 0 && !users[0].email_verified) {
+            await sendVerificationEmail(users[0]);
+        }
+
+        sendSuccess(res, { message: "If the account exists and is unverified, a verification email has been sent" });
+    } catch (err) {
+        next(err);
+    }
+});
+
+// Start a password reset. Always succeeds so it can't be used to look up accounts.
+router.post("/forgot-password", validate(schemas.emailOnly), async (req, res, next) => {
+    const { email } = req.body;
+
+    try {
+        const [users] = await db.promise().query("SELECT id, username, email FROM users WHERE email = ?", [email]);
+
+        if (users.length > 0) {
+            await sendPasswordResetEmail(users[0]);
+        }
+
+        sendSuccess(res, { message: "If the account exists, a password reset email has been sent" });
+    } catch (err) {
+        next(err);
+    }
+});
+
+// Set a new password with the token from the reset email and sign out everywhere
+router.post("/reset-password", validate(schemas.resetPassword), async (req, res, next) => {
+    const { token, password } = req.body;
+
+    try {
+        const userId = await consumeAccountToken(token, "password_reset");
+
+        if (!userId) {
+            return next(new AppError(400, "Invalid or expired reset token", { code: "INVALID_TOKEN" }));
+        }
+
+        const hashedPassword = await bcrypt.hash(password, 10);
+
+        // Receiving the reset email proves ownership of the address as well
+        await db.promise().query("UPDATE users SET password = ?, email_verified = 1 WHERE id = ?", [hashedPassword, userId]);
+        if (!(await hasIdentity(userId, "password"))) {
+            await addIdentity(userId, "password");
+        }
+        await revokeAllSessions(userId);
+
+        sendSuccess(res, { message: "Password reset successfully" });
+    } catch (err) {
+        next(err);
+    }
+});
+
+// List the login methods linked to the current user
+router.get("/identities", authMiddleware, async (req, res, next) => {
+    const { userId } = req.user;
+
+    try {
+        const identities = await getIdentities(userId);
+
+        sendSuccess(res, identities);
+    } catch (err) {
+        next(err);
+    }
+});
+
+// Set a password on an account that doesn't have one yet (e.g. created through Google)
+router.post("/password", authMiddleware, validate(schemas.setPassword), async (req, res, next) => {
+    const { userId } = req.user;
+    const { password } = req.body;
+
+    try {
+        if (await hasIdentity(userId, "password")) {
+            return next(new AppError(409, "This account already has a password."));
+        }
+
+        const hashedPassword = await bcrypt.hash(password, 10);
+        await db.promise().query("UPDATE users SET password = ? WHERE id = ?", [hashedPassword, userId]);
+        await addIdentity(userId, "password");
+
+        sendSuccess(res, { message: "Password set successfully" });
+    } catch (err) {
+        next(err);
+    }
+});
+
+// Link a Google account to the current user
+router.post("/google/link", authMiddleware, validate(schemas.googleLogin), async (req, res, next) => {
+    const { userId } = req.user;
+    const { token } = req.body;
+
+    let payload;
+    try {
+        payload = await verifyGoogleToken(token);
+    } catch (error) {
+        return next(new AppError(401, "Invalid Google token or authentication failed", { code: "INVALID_GOOGLE_TOKEN" }));
+    }
+
+    try {
+        if (await hasIdentity(userId, "google")) {
+            return next(new AppError(409, "A Google account is already linked to this account."));
+        }
+
+        const linkedUserId = await findUserByGoogleSubject(payload.sub, payload.email);
+        if (linkedUserId) {
+            return next(new AppError(409, "This Google account is already linked to another account."));
+        }
+
+        await addIdentity(userId, "google", payload.sub);
+
+        sendSuccess(res, { message: "Google account linked successfully" });
+    } catch (err) {
+        next(err);
+    }
+});
+
+// Unlink Google from the current user. A password must be set first so the account stays accessible.
+router.delete("/google/link", authMiddleware, async (req, res, next) => {
+    const { userId } = req.user;
+
+    try {
+        if (!(await hasIdentity(userId, "password"))) {
+            return next(new AppError(400, "Set a password before unlinking Google, otherwise you won't be able to log in."));
+        }
+
+        const removedCount = await removeIdentity(userId, "google");
+        if (removedCount === 0) {
+            return next(new AppError(404, "No Google account is linked to this account."));
+        }
+
+        sendSuccess(res, { message: "Google account unlinked successfully" });
+    } catch (err) {
+        next(err);
+    }
+});
+
+// Exchange a refresh token for a new access token and refresh token
+router.post("/refresh", validate(schemas.refresh), async (req, res, next) => {
+    const { refreshToken } = req.body;
+
+    try {
+        const session = await rotateSession(refreshToken, req);
+
+        if (!session) {
+            return next(new AppError(401, "Invalid or expired refresh token", { code: "INVALID_REFRESH_TOKEN" }));
+        }
+
+        sendSuccess(res, {
+            token: session.token,
+            refreshToken: session.refreshToken,
+        });
+    } catch (err) {
+        next(err);
+    }
+});
+
+// Revoke the session the current token belongs to
+router.post("/logout", authMiddleware, async (req, res, next) => {
+    const { userId, sessionId } = req.user;
+
+    try {
+        await revokeSession(userId, sessionId);
+
+        sendSuccess(res, { message: "Logged out successfully" });
+    } catch (err) {
+        next(err);
+    }
+});
+
+// List the current user's active sessions
+router.get("/sessions", authMiddleware, async (req, res, next) => {
+    const { userId, sessionId } = req.user;
+
+    try {
+        const sessions = await listSessions(userId);
+
+        sendSuccess(
+            res,
+            sessions.map((session) => ({
+                ...session,
+                is_current: session.id === sessionId,
+            }))
+        );
+    } catch (err) {
+        next(err);
+    }
+});
+
+// Revoke all of the current user's sessions
+router.delete("/sessions", authMiddleware, async (req, res, next) => {
+    const { userId } = req.user;
+
+    try {
+        const revokedCount = await revokeAllSessions(userId);
+
+        sendSuccess(res, { message: "All sessions revoked", revokedCount });
+    } catch (err) {
+        next(err);
+    }
+});
+
+// Revoke a single session
+router.delete("/sessions/:sessionId", authMiddleware, validate(schemas.sessionParams), async (req, res, next) => {
+    const { userId } = req.user;
+    const { sessionId } = req.params;
+
+    try {
+        const revokedCount = await revokeSession(userId, sessionId);
+
+        if (revokedCount === 0) {
+            return next(new AppError(404, "Session not found"));
+        }
+
+        sendSuccess(res, { message: "Session revoked" });
+    } catch (err) {
+        next(err);
+    }
+});
+
 module.exports = router;
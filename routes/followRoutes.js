@@ -1,21 +1,32 @@
 const express = require("express");
 const db = require("../db");
 const router = express.Router();
+const validate = require("../middleware/validate");
+const { AppError } = require("../utils/errors");
+const { sendSuccess } = require("../utils/response");
 const { emitUnreadNotificationCount, emitNotifications } = require("../utils/utils");
+const { notBlockedWith, isBlockedBetween } = require("../services/blocks");
+
+// Request schemas
+const idRule = { type: "integer", required: true, min: 1 };
+
+const schemas = {
+    follow: { body: { followingId: idRule } },
+    respond: { body: { requestId: idRule, status: { type: "string", required: true, enum: ["accepted", "rejected"] } } },
+    userParams: { params: { userId: idRule } },
+};
 
 // Follow user
-router.post("/", async (req, res) => {
-    const { followerId, followingId } = req.body;
-
-    if (!followerId || !followingId) {
-        return res.status(400).json({
-            success: false,
-            error: "Missing required fields",
-            data: null,
-        });
-    }
+router.post("/", validate(schemas.follow), async (req, res, next) => {
+    const { userId: followerId } = req.user;
+    const { followingId } = req.body;
 
     try {
+        // Blocked users don't exist for each other
+        if (await isBlockedBetween(followerId, followingId)) {
+            return next(new AppError(404, "User not found"));
+        }
+
         // Check for existing follow request
         const [existing] = await db.promise().query(
             `SELECT * FROM follow_requests 
@@ -24,11 +35,7 @@ router.post("/", async (req, res) => {
         );
 
         if (existing.length > 0) {
-            return res.status(400).json({
-                success: false,
-                error: "Follow request already exists",
-                data: null,
-            });
+            return next(new AppError(400, "Follow request already exists"));
         }
 
         // Create new follow request
@@ -48,30 +55,15 @@ router.post("/", async (req, res) => {
 
         emitUnreadNotificationCount(followingId);
 
-        res.status(201).json({
-            success: true,
-            error: null,
-            data: { followRequestId: result.insertId, message: "Follow request sent" },
-        });
+        sendSuccess(res, { followRequestId: result.insertId, message: "Follow request sent" }, 201);
     } catch (err) {
-        res.status(500).json({
-            success: false,
-            error: err.message,
-            data: null,
-        });
+        next(err);
     }
 });
 
-router.delete("/unfollow", async (req, res) => {
-    const { followerId, followingId } = req.body;
-
-    if (!followerId || !followingId) {
-        return res.status(400).json({
-            success: false,
-            error: "Missing required fields",
-            data: null,
-        });
-    }
+router.delete("/unfollow", validate(schemas.follow), async (req, res, next) => {
+    const { userId: followerId } = req.user;
+    const { followingId } = req.body;
 
     try {
         // Delete the follow relationship from the followers table
@@ -82,53 +74,34 @@ router.delete("/unfollow", async (req, res) => {
         );
 
         if (result.affectedRows === 0) {
-            return res.status(404).json({
-                success: false,
-                error: "Follow relationship not found",
-                data: null,
-            });
+            return next(new AppError(404, "Follow relationship not found"));
         }
 
-        res.status(200).json({
-            success: true,
-            error: null,
-            data: { message: "Unfollowed successfully" },
-        });
+        sendSuccess(res, { message: "Unfollowed successfully" });
     } catch (err) {
-        res.status(500).json({
-            success: false,
-            error: err.message,
-            data: null,
-        });
+        next(err);
     }
 });
 
 // Respond to follow request
-router.post("/response", async (req, res) => {
+router.post("/response", validate(schemas.respond), async (req, res, next) => {
     const { requestId, status } = req.body;
 
-    if (!requestId || !status) {
-        return res.status(400).json({
-            success: false,
-            error: "Missing required fields",
-            data: null,
-        });
-    }
-
     try {
         // Check if follow request exists
         const [request] = await db.promise().query(`SELECT * FROM follow_requests WHERE id = ?`, [requestId]);
 
         if (request.length === 0) {
-            return res.status(404).json({
-                success: false,
-                error: "Follow request not found",
-                data: null,
-            });
+            return next(new AppError(404, "Follow request not found"));
         }
 
         const { follower_id, following_id } = request[0];
 
+        // Only the user who received the request can respond to it
+        if (following_id !== req.user.userId) {
+            return next(new AppError(403, "You are not authorized to respond to this request"));
+        }
+
         // Update follow request status
         await db.promise().query(`UPDATE follow_requests SET status = ? WHERE id = ?`, [status, requestId]);
 
@@ -144,43 +117,33 @@ router.post("/response", async (req, res) => {
             );
         }
 
-        res.status(200).json({
-            success: true,
-            error: null,
-            data: { requestId, status, message: `Request ${status}` },
-        });
+        sendSuccess(res, { requestId, status, message: `Request ${status}` });
     } catch (err) {
-        res.status(500).json({
-            success: false,
-            error: err.message,
-            data: null,
-        });
+        next(err);
     }
 });
 
-router.get("/following/:userId", async (req, res) => {
+router.get("/following/:userId", validate(schemas.userParams), async (req, res, next) => {
     try {
         const { userId } = req.params;
 
+        if (await isBlockedBetween(req.user.userId, userId)) {
+            return next(new AppError(404, "User not found"));
+        }
+
         const query = `
             SELECT u.id, u.username, u.profile_picture
             FROM followers f
             JOIN users u ON f.following_id = u.id
             WHERE f.follower_id = ?
+            AND ${notBlockedWith("u.id")}
         `;
 
-        const [results] = await db.promise().query(query, [userId]);
+        const [results] = await db.promise().query(query, [userId, req.user.userId, req.user.userId]);
 
-        res.status(200).json({
-            success: true,
-            data: results,
-        });
+        sendSuccess(res, results);
     } catch (error) {
-        console.error("Error fetching following users:", error.message);
-        res.status(500).json({
-            success: false,
-            error: "Internal server error",
-        });
+        next(error);
     }
 });
 
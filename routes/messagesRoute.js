@@ -1,33 +1,37 @@
 const express = require("express");
 const router = express.Router();
+const validate = require("../middleware/validate");
+const { AppError } = require("../utils/errors");
+const { sendSuccess } = require("../utils/response");
 const db = require("../db");
 const multer = require("multer");
-const { S3Client, PutObjectCommand } = require("@aws-sdk/client-s3");
+const storage = require("../utils/storage");
+const { chatMediaPrefix, mediaUrlsOf, deleteMedia } = require("../services/mediaCleanup");
 const upload = multer({ storage: multer.memoryStorage() });
-const sharp = require("sharp");
-
+const { uploadImageVariants } = require("../utils/imageVariants");
 const fs = require("fs");
 const path = require("path");
 const os = require("os");
-const ffmpeg = require("fluent-ffmpeg");
-const ffmpegPath = require("@ffmpeg-installer/ffmpeg").path;
-const ffprobePath = require("@ffprobe-installer/ffprobe").path;
-
-ffmpeg.setFfmpegPath(ffmpegPath);
-ffmpeg.setFfprobePath(ffprobePath);
-
-const s3 = new S3Client({
-    region: process.env.AWS_REGION,
-    credentials: {
-        accessKeyId: process.env.AWS_ACCESS_KEY_ID,
-        secretAccessKey: process.env.AWS_SECRET_ACCESS_KEY,
-    },
-});
+const { probeVideo } = require("../utils/video");
+const { claimUploads, releaseUploads, discardUploads, withDownloadedUpload } = require("../services/directUploads");
+
+// Request schemas
+const idRule = { type: "integer", required: true, min: 1 };
+
+const schemas = {
+    conversations: { params: { currentUserId: idRule } },
+    deleteMessage: { params: { messageId: idRule } },
+    finalizeMedia: { body: { uploadId: idRule } },
+};
 
 // Get all messages and users for the current user
-router.get("/:currentUserId", (req, res) => {
+router.get("/:currentUserId", validate(schemas.conversations), (req, res, next) => {
     const { currentUserId } = req.params;
 
+    if (parseInt(currentUserId) !== req.user.userId) {
+        return next(new AppError(403, "You can only view your own messages"));
+    }
+
     // Fetch users the current user has messaged with, excluding the current user
     db.query(
         `
@@ -40,17 +44,13 @@ router.get("/:currentUserId", (req, res) => {
         [currentUserId, currentUserId, currentUserId],
         (usersErr, usersResults) => {
             if (usersErr) {
-                return res.status(500).json({
-                    success: false,
-                    error: usersErr.message,
-                    data: null,
-                });
+                return next(usersErr);
             }
 
             // Fetch all messages where the user is either sender or receiver
             db.query(
                 `
-            SELECT message_id ,sender_id, receiver_id, message_text, file_url, timestamp , delivered, delivered_timestamp, is_read, read_timestamp, file_name, file_size, reply_to, media_width, media_height, reactions
+            SELECT message_id ,sender_id, receiver_id, message_text, file_url, timestamp , delivered, delivered_timestamp, is_read, read_timestamp, file_name, file_size, reply_to, media_width, media_height, variants, reactions
             FROM messages 
             WHERE sender_id = ? OR receiver_id = ?
             ORDER BY timestamp ASC;
@@ -58,11 +58,7 @@ router.get("/:currentUserId", (req, res) => {
                 [currentUserId, currentUserId],
                 (messagesErr, messagesResults) => {
                     if (messagesErr) {
-                        return res.status(500).json({
-                            success: false,
-                            error: messagesErr.message,
-                            data: null,
-                        });
+                        return next(messagesErr);
                     }
 
                     // Organize messages by user
@@ -89,181 +85,160 @@ router.get("/:currentUserId", (req, res) => {
                             reply_to: msg.reply_to,
                             media_width: msg.media_width,
                             media_height: msg.media_height,
+                            variants: msg.variants,
                             reactions: msg.reactions,
                         });
                     });
 
-                    res.json({
-                        success: true,
-                        data: { users: usersResults, messages: groupedMessages },
-                        error: null,
-                    });
+                    sendSuccess(res, { users: usersResults, messages: groupedMessages });
                 }
             );
         }
     );
 });
 
-router.post("/media", upload.single("image"), async (req, res) => {
+router.post("/media", upload.single("image"), async (req, res, next) => {
     const file = req.file;
 
     if (!file) {
-        return res.status(400).json({
-            success: false,
-            error: "No file uploaded.",
-            data: null,
-        });
+        return next(new AppError(400, "No file uploaded."));
     }
 
     const fileName = file.originalname;
     const fileSize = file.size;
     const fileType = file.mimetype;
+    const keyPrefix = chatMediaPrefix(req.user.userId);
+    const baseKey = storage.buildKey(keyPrefix, path.parse(fileName).name);
     let mediaWidth = null;
     let mediaHeight = null;
 
     try {
         if (fileType.startsWith("image/")) {
-            const metadata = await sharp(file.buffer).metadata();
-            mediaWidth = metadata.width;
-            mediaHeight = metadata.height;
-        } else if (fileType.startsWith("video/")) {
+            // Images are stored as resized, metadata-free variants
+            const { fileUrl, width, height, variants } = await uploadImageVariants(file.buffer, fileType, baseKey, storage.put);
+
+            return sendSuccess(res, {
+                fileUrl,
+                fileName,
+                fileSize,
+                fileType,
+                mediaWidth: width,
+                mediaHeight: height,
+                variants,
+            });
+        }
+
+        if (fileType.startsWith("video/")) {
             // Write buffer to a temp file
             const tempFilePath = path.join(os.tmpdir(), `${Date.now()}_${fileName}`);
             fs.writeFileSync(tempFilePath, file.buffer);
 
-            await new Promise((resolve, reject) => {
-                ffmpeg.ffprobe(tempFilePath, (err, metadata) => {
-                    if (err) {
-                        console.error("Error processing video:", err);
-                        reject(err);
-                    } else {
-                        mediaWidth = metadata.streams[0]?.width || null;
-                        mediaHeight = metadata.streams[0]?.height || null;
-                        resolve();
-                    }
-                });
-            });
-
-            // Delete the temporary file after processing
-            fs.unlinkSync(tempFilePath);
+            try {
+                ({ width: mediaWidth, height: mediaHeight } = await probeVideo(tempFilePath));
+            } catch (err) {
+                throw new AppError(500, "Failed to process media.", { cause: err });
+            } finally {
+                // Delete the temporary file after processing
+                fs.unlinkSync(tempFilePath);
+            }
         }
-    } catch (err) {
-        console.error("Error processing media:", err);
-        return res.status(500).json({
-            success: false,
-            error: "Failed to process media.",
-            data: null,
+
+        const fileUrl = await storage.put(storage.buildKey(keyPrefix, fileName), file.buffer, fileType);
+
+        return sendSuccess(res, {
+            fileUrl,
+            fileName,
+            fileSize,
+            fileType,
+            mediaWidth,
+            mediaHeight,
+            variants: null,
         });
+    } catch (err) {
+        return next(err);
     }
+});
 
-    const uploadParams = {
-        Bucket: process.env.AWS_S3_BUCKET_NAME,
-        Key: `chat/${Date.now()}_${fileName}`,
-        Body: file.buffer,
-        ContentType: fileType,
-        ACL: "public-read",
-    };
+// Turn a file uploaded directly to storage (see POST /api/uploads) into an attachment. The
+// response matches POST /media and is sent on with the sendMessage socket event.
+router.post("/media/finalize", validate(schemas.finalizeMedia), async (req, res, next) => {
+    const { uploadId } = req.body;
 
+    let directUpload;
     try {
-        const command = new PutObjectCommand(uploadParams);
-        await s3.send(command);
+        [directUpload] = await claimUploads(req.user.userId, [uploadId], "message");
+    } catch (err) {
+        return next(err);
+    }
 
-        const fileUrl = `https://${uploadParams.Bucket}.s3.${process.env.AWS_REGION}.amazonaws.com/${uploadParams.Key}`;
+    const fileName = directUpload.file_name;
+    const fileType = directUpload.content_type;
+    const fileSize = Number(directUpload.size_bytes);
 
-        return res.status(200).json({
-            success: true,
-            error: null,
-            data: {
-                fileUrl,
-                fileName,
-                fileSize,
-                fileType,
-                mediaWidth,
-                mediaHeight,
-            },
-        });
-    } catch (error) {
-        console.error("S3 Upload Error:", error);
-        return res.status(500).json({
-            success: false,
-            error: "Failed to upload media to S3.",
-            data: null,
-        });
+    let attachment;
+    try {
+        if (fileType.startsWith("image/")) {
+            // Images are stored as resized, metadata-free variants in place of the original
+            const baseKey = storage.buildKey(chatMediaPrefix(req.user.userId), path.parse(fileName).name);
+            const { fileUrl, width, height, variants } = await withDownloadedUpload(directUpload, (filePath) =>
+                uploadImageVariants(filePath, fileType, baseKey, storage.put)
+            );
+            attachment = { fileUrl, fileName, fileSize, fileType, mediaWidth: width, mediaHeight: height, variants };
+        } else {
+            // Videos are sent as uploaded, copied under the sender's chat prefix
+            const { fileUrl, width, height } = await withDownloadedUpload(directUpload, async (filePath) => {
+                const { width, height } = await probeVideo(filePath);
+                const key = storage.buildKey(chatMediaPrefix(req.user.userId), fileName);
+                return { fileUrl: await storage.put(key, fs.createReadStream(filePath), fileType, fileSize), width, height };
+            });
+            attachment = { fileUrl, fileName, fileSize, fileType, mediaWidth: width, mediaHeight: height, variants: null };
+        }
+    } catch (err) {
+        // Nothing was stored, so the client can retry with the same upload
+        await releaseUploads([uploadId]);
+        return next(err);
     }
+
+    // The stored copy replaces the original upload, which stays claimed
+    await discardUploads([directUpload]);
+
+    sendSuccess(res, attachment);
 });
 
 // Delete Message
-router.delete("/:messageId", async (req, res) => {
+router.delete("/:messageId", validate(schemas.deleteMessage), async (req, res, next) => {
     const { messageId } = req.params;
 
-    if (!messageId) {
-        return res.status(400).json({
-            success: false,
-            error: "Message ID is required.",
-            data: null,
-        });
-    }
-
     try {
         // Check if message exists
-        db.query("SELECT file_url FROM messages WHERE message_id = ?", [messageId], async (err, results) => {
+        db.query("SELECT file_url, variants, sender_id FROM messages WHERE message_id = ?", [messageId], async (err, results) => {
             if (err) {
-                return res.status(500).json({
-                    success: false,
-                    error: err.message,
-                    data: null,
-                });
+                return next(err);
             }
 
             if (results.length === 0) {
-                return res.status(404).json({
-                    success: false,
-                    error: "Message not found.",
-                    data: null,
-                });
+                return next(new AppError(404, "Message not found."));
             }
 
-            const fileUrl = results[0].file_url;
+            if (results[0].sender_id !== req.user.userId) {
+                return next(new AppError(403, "You can only delete your own messages."));
+            }
 
             // Delete message from database
             db.query("DELETE FROM messages WHERE message_id = ?", [messageId], async (deleteErr) => {
                 if (deleteErr) {
-                    return res.status(500).json({
-                        success: false,
-                        error: deleteErr.message,
-                        data: null,
-                    });
+                    return next(deleteErr);
                 }
 
-                // If there's a file attached, delete it from S3
-                if (fileUrl) {
-                    const key = fileUrl.split(".amazonaws.com/")[1]; // Extract S3 object key
-
-                    const deleteParams = {
-                        Bucket: process.env.AWS_S3_BUCKET_NAME,
-                        Key: key,
-                    };
-
-                    try {
-                        await s3.send(new DeleteObjectCommand(deleteParams));
-                    } catch (s3Error) {
-                        console.error("S3 Deletion Error:", s3Error);
-                    }
-                }
+                // If there's a file attached, delete it and its variants from storage. The URLs came
+                // from the sender's client, so only files under their own chat prefix are touched.
+                await deleteMedia(mediaUrlsOf(results[0]), { prefix: chatMediaPrefix(results[0].sender_id) });
 
-                return res.json({
-                    success: true,
-                    error: null,
-                    data: "Message deleted successfully.",
-                });
+                return sendSuccess(res, { message: "Message deleted successfully." });
             });
         });
     } catch (error) {
-        return res.status(500).json({
-            success: false,
-            error: error.message,
-            data: null,
-        });
+        return next(error);
     }
 });
 
@@ -1,18 +1,31 @@
 const express = require("express");
 const db = require("../db");
 const router = express.Router();
+const validate = require("../middleware/validate");
+const { AppError } = require("../utils/errors");
+const { sendSuccess } = require("../utils/response");
 
-router.get("/:userId", (req, res) => {
+// Request schemas
+const schemas = {
+    userParams: { params: { userId: { type: "integer", required: true, min: 1 } } },
+};
+
+router.get("/:userId", validate(schemas.userParams), (req, res, next) => {
     const { userId } = req.params;
 
+    if (parseInt(userId) !== req.user.userId) {
+        return next(new AppError(403, "You can only view your own notifications"));
+    }
+
     const query = `
         SELECT n.id, n.type, n.message, n.post_id, n.created_at,
                u.id AS sender_id, u.username, u.profile_picture,
-               p.file_url, fr.status AS request_status,
+               p.file_url, pm.variants, fr.status AS request_status,
                fr.follower_id AS requester_id, fr.id AS request_id
         FROM notifications n
         JOIN users u ON n.sender_id = u.id
         LEFT JOIN posts p ON n.post_id = p.id
+        LEFT JOIN post_media pm ON pm.post_id = p.id AND pm.position = 0
         LEFT JOIN follow_requests fr ON n.follow_request_id = fr.id
         WHERE n.user_id = ?
         ORDER BY n.created_at DESC
@@ -20,36 +33,28 @@ router.get("/:userId", (req, res) => {
 
     db.query(query, [userId], (err, results) => {
         if (err) {
-            return res.status(500).json({
-                success: false,
-                error: err.message,
-                data: null,
-            });
+            return next(err);
         }
 
         // Update read status
         db.query("UPDATE notifications SET is_read = TRUE WHERE user_id = ?", [userId], (updateErr) => {
             if (updateErr) {
-                return res.status(500).json({
-                    success: false,
-                    error: updateErr.message,
-                    data: null,
-                });
+                return next(updateErr);
             }
 
-            res.status(200).json({
-                success: true,
-                error: null,
-                data: results,
-            });
+            sendSuccess(res, results);
         });
     });
 });
 
 // Route to fetch unread notifications and messages count
-router.get("/count/:userId", (req, res) => {
+router.get("/count/:userId", validate(schemas.userParams), (req, res, next) => {
     const { userId } = req.params;
 
+    if (parseInt(userId) !== req.user.userId) {
+        return next(new AppError(403, "You can only view your own counts"));
+    }
+
     const query = `
         SELECT 
             (SELECT COUNT(*) FROM notifications WHERE user_id = ? AND is_read = FALSE) AS unread_notifications,
@@ -58,20 +63,12 @@ router.get("/count/:userId", (req, res) => {
 
     db.query(query, [userId, userId], (err, results) => {
         if (err) {
-            return res.status(500).json({
-                success: false,
-                error: err.message,
-                data: null,
-            });
+            return next(err);
         }
 
-        res.status(200).json({
-            success: true,
-            error: null,
-            data: {
-                unread_notifications: results[0].unread_notifications,
-                unread_messages: results[0].unread_messages,
-            },
+        sendSuccess(res, {
+            unread_notifications: results[0].unread_notifications,
+            unread_messages: results[0].unread_messages,
         });
     });
 });
@@ -1,44 +1,105 @@
 const express = require("express");
 const db = require("../db");
 const router = express.Router();
+const validate = require("../middleware/validate");
+const { AppError } = require("../utils/errors");
+const { sendSuccess } = require("../utils/response");
 const { getTimeAgo } = require("../utils/utils");
+const { DEFAULT_PAGE_SIZE, decodeTimeCursor, decodeRankedCursor, paginationQuery } = require("../utils/pagination");
+const { getHomeFeed, getRankedFeed, getExploreFeed, getTagFeed } = require("../services/feedService");
+const { MAX_POST_MEDIA, MAX_ALT_TEXT_LENGTH, createPostWithMedia, attachMedia } = require("../services/postMedia");
+const { mediaTypeFromMime, storeMedia } = require("../services/mediaUpload");
+const { claimUploads, releaseUploads, discardUploads, withDownloadedUpload } = require("../services/directUploads");
 const { createNotification } = require("../utils/utils");
 const multer = require("multer");
-const { S3Client, PutObjectCommand } = require("@aws-sdk/client-s3");
+const path = require("path");
+const storage = require("../utils/storage");
 const { emitUnreadNotificationCount, emitNotifications } = require("../utils/utils");
-const sharp = require("sharp");
+const { mediaUrlsOf, storedMediaUrlsOf, deleteMedia } = require("../services/mediaCleanup");
+const { COMMENT_ORDER, attachCommentLikes, getPostComments, getCommentReplies, findReplyTarget, setCommentPinned } = require("../services/comments");
+const { indexPostHashtags, indexCommentHashtags, notifyMentions } = require("../services/tagging");
+const { notBlockedWith, isBlockedBetween } = require("../services/blocks");
 
 const upload = multer({ storage: multer.memoryStorage() });
+const uploadPostMedia = upload.fields([
+    { name: "media", maxCount: MAX_POST_MEDIA },
+    { name: "image", maxCount: 1 },
+]);
+
+// Response body for a newly created post
+const createdPostBody = (postId, media, mentions) => ({
+    message: "Post created successfully",
+    postId,
+    mentions,
+    fileUrl: media[0].fileUrl,
+    mediaWidth: media[0].width,
+    mediaHeight: media[0].height,
+    thumbnailUrl: media[0].thumbnailUrl,
+    duration: media[0].duration,
+    media: media.map((item, position) => ({
+        position,
+        media_type: item.mediaType,
+        file_url: item.fileUrl,
+        media_width: item.width,
+        media_height: item.height,
+        duration_seconds: item.duration,
+        thumbnail_url: item.thumbnailUrl,
+        variants: item.variants || null,
+        alt_text: item.altText || null,
+    })),
+});
 
-const s3 = new S3Client({
-    region: process.env.AWS_REGION,
-    credentials: {
-        accessKeyId: process.env.AWS_ACCESS_KEY_ID,
-        secretAccessKey: process.env.AWS_SECRET_ACCESS_KEY,
+// Request schemas
+const idRule = { type: "integer", required: true, min: 1 };
+const contentRule = { type: "string", required: true, maxLength: 2200 };
+
+const schemas = {
+    feed: { query: { ...paginationQuery, mode: { type: "string", enum: ["latest", "ranked"] } } },
+    explore: { query: paginationQuery },
+    tag: { params: { tag: { type: "string", required: true, pattern: /^#?[\p{L}\p{N}_]{1,100}$/u } }, query: paginationQuery },
+    postBody: { body: { postId: idRule } },
+    comment: { body: { postId: idRule, comment: contentRule, parentCommentId: { type: "integer", min: 1 } } },
+    postComments: { params: { postId: idRule }, query: paginationQuery },
+    commentReplies: { params: { commentId: idRule }, query: paginationQuery },
+    editComment: { body: { commentId: idRule, comment: contentRule } },
+    commentBody: { body: { commentId: idRule } },
+    profilePosts: { params: { userId: idRule } },
+    createPost: {
+        body: { content: contentRule, location: { type: "string", maxLength: 255 }, altText: { type: "string", maxLength: 20000 } },
     },
-});
+    finalizePost: {
+        body: {
+            uploadIds: { type: "array", required: true, minItems: 1, maxItems: MAX_POST_MEDIA, items: { type: "integer", min: 1 } },
+            content: contentRule,
+            location: { type: "string", maxLength: 255 },
+            altText: { type: "array", maxItems: MAX_POST_MEDIA, items: { type: "string", maxLength: MAX_ALT_TEXT_LENGTH } },
+        },
+    },
+    updatePost: { params: { postId: idRule }, body: { content: contentRule } },
+    deletePost: { query: { postId: idRule } },
+};
 
 // Like Post
-router.post("/like", (req, res) => {
-    const { userId, postId } = req.body;
-
-    if (!userId || !postId) {
-        return res.status(400).json({
-            success: false,
-            error: "User ID and Post ID are required.",
-            data: null,
-        });
+router.post("/like", validate(schemas.postBody), async (req, res, next) => {
+    const { userId } = req.user;
+    const { postId } = req.body;
+
+    try {
+        const [posts] = await db.promise().query("SELECT user_id FROM posts WHERE id = ?", [postId]);
+
+        // Users blocked with the author can't see the post, so it doesn't exist for them
+        if (posts.length === 0 || (await isBlockedBetween(userId, posts[0].user_id))) {
+            return next(new AppError(404, "Post not found."));
+        }
+    } catch (err) {
+        return next(err);
     }
 
     const checkLikeQuery = "SELECT * FROM likes WHERE user_id = ? AND post_id = ?";
 
     db.query(checkLikeQuery, [userId, postId], (err, result) => {
         if (err) {
-            return res.status(500).json({
-                success: false,
-                error: err.message,
-                data: null,
-            });
+            return next(err);
         }
 
         if (result.length > 0) {
@@ -47,11 +108,7 @@ router.post("/like", (req, res) => {
 
             db.query(removeLikeQuery, [userId, postId], (err) => {
                 if (err) {
-                    return res.status(500).json({
-                        success: false,
-                        error: err.message,
-                        data: null,
-                    });
+                    return next(err);
                 }
 
                 // Calculate the updated like count from the likes table
@@ -59,15 +116,10 @@ router.post("/like", (req, res) => {
 
                 db.query(likesCountQuery, [postId], (err, countResult) => {
                     if (err) {
-                        return res.status(500).json({
-                            success: false,
-                            error: err.message,
-                            data: null,
-                        });
+                        return next(err);
                     }
 
-                    res.status(200).json({
-                        success: true,
+                    sendSuccess(res, {
                         message: "Post unliked successfully.",
                         like_count: countResult[0].like_count,
                     });
@@ -79,11 +131,7 @@ router.post("/like", (req, res) => {
 
             db.query(addLikeQuery, [userId, postId], (err) => {
                 if (err) {
-                    return res.status(500).json({
-                        success: false,
-                        error: err.message,
-                        data: null,
-                    });
+                    return next(err);
                 }
 
                 // Get the user ID of the post author
@@ -91,26 +139,17 @@ router.post("/like", (req, res) => {
 
                 db.query(getPostAuthorQuery, [postId], (err, postResult) => {
                     if (err) {
-                        return res.status(500).json({
-                            success: false,
-                            error: err.message,
-                            data: null,
-                        });
+                        return next(err);
                     }
 
                     const postAuthorId = postResult[0]?.user_id;
                     if (!postAuthorId) {
-                        return res.status(404).json({
-                            success: false,
-                            error: "Post not found.",
-                            data: null,
-                        });
+                        return next(new AppError(404, "Post not found."));
                     }
 
                     // Check if the user is liking their own post
                     if (userId === postAuthorId) {
-                        return res.status(200).json({
-                            success: true,
+                        return sendSuccess(res, {
                             message: "You liked your own post.",
                             like_count: result.length,
                         });
@@ -121,20 +160,12 @@ router.post("/like", (req, res) => {
 
                     db.query(getUserNameQuery, [userId], (err, userResult) => {
                         if (err) {
-                            return res.status(500).json({
-                                success: false,
-                                error: err.message,
-                                data: null,
-                            });
+                            return next(err);
                         }
 
                         const userName = userResult[0]?.username;
                         if (!userName) {
-                            return res.status(404).json({
-                                success: false,
-                                error: "User not found.",
-                                data: null,
-                            });
+                            return next(new AppError(404, "User not found."));
                         }
 
                         // Create a notification for the post's author
@@ -148,26 +179,17 @@ router.post("/like", (req, res) => {
 
                                 db.query(likesCountQuery, [postId], (err, countResult) => {
                                     if (err) {
-                                        return res.status(500).json({
-                                            success: false,
-                                            error: err.message,
-                                            data: null,
-                                        });
+                                        return next(err);
                                     }
 
-                                    res.status(200).json({
-                                        success: true,
+                                    sendSuccess(res, {
                                         message: "Post liked successfully.",
                                         like_count: countResult[0].like_count,
                                     });
                                 });
                             })
                             .catch((err) => {
-                                return res.status(500).json({
-                                    success: false,
-                                    error: err.message,
-                                    data: null,
-                                });
+                                return next(err);
                             });
                     });
                 });
@@ -176,151 +198,247 @@ router.post("/like", (req, res) => {
     });
 });
 
-// Comment on Post
-router.post("/comment", (req, res) => {
-    const { userId, postId, comment } = req.body;
+// Comment on Post, or reply to a comment on it with parentCommentId
+router.post("/comment", validate(schemas.comment), async (req, res, next) => {
+    const { userId } = req.user;
+    const { postId, comment } = req.body;
 
-    if (!userId || !postId || !comment) {
-        return res.status(400).json({
-            success: false,
-            error: "User ID, Post ID, and Comment content are required.",
-            data: null,
-        });
-    }
-
-    const insertCommentQuery = "INSERT INTO comments (user_id, post_id, content, created_at) VALUES (?, ?, ?, NOW())";
+    try {
+        const [postResult] = await db.promise().query("SELECT user_id FROM posts WHERE id = ?", [postId]);
 
-    db.query(insertCommentQuery, [userId, postId, comment], (err, result) => {
-        if (err) {
-            return res.status(500).json({
-                success: false,
-                error: err.message,
-                data: null,
-            });
+        // Users blocked with the author can't see the post, so it doesn't exist for them
+        const postAuthorId = postResult[0]?.user_id;
+        if (!postAuthorId || (await isBlockedBetween(userId, postAuthorId))) {
+            return next(new AppError(404, "Post not found."));
         }
 
+        const reply = req.body.parentCommentId ? await findReplyTarget({ userId, postId, commentId: req.body.parentCommentId }) : null;
+        const parentCommentId = reply ? reply.parentCommentId : null;
+
+        const insertCommentQuery = "INSERT INTO comments (user_id, post_id, content, parent_comment_id, created_at) VALUES (?, ?, ?, ?, NOW())";
+        const [result] = await db.promise().query(insertCommentQuery, [userId, postId, comment, parentCommentId]);
         const commentId = result.insertId;
 
-        const getPostAuthorQuery = "SELECT user_id FROM posts WHERE id = ?";
+        await indexCommentHashtags(db.promise(), commentId, comment);
 
-        db.query(getPostAuthorQuery, [postId], (err, postResult) => {
-            if (err) {
-                return res.status(500).json({
-                    success: false,
-                    error: err.message,
-                    data: null,
-                });
-            }
+        // The post author and the author of the comment replied to are told about the comment
+        // itself, so a mention doesn't notify them twice
+        const notifiedUserIds = reply ? [postAuthorId, reply.repliedToUserId] : [postAuthorId];
+        const mentions = await notifyMentions({ senderId: userId, text: comment, postId, commentId, skipUserIds: notifiedUserIds });
 
-            const postAuthorId = postResult[0]?.user_id;
-            if (!postAuthorId) {
-                return res.status(404).json({
-                    success: false,
-                    error: "Post not found.",
-                    data: null,
-                });
-            }
+        if (reply && reply.repliedToUserId !== userId) {
+            await createNotification(reply.repliedToUserId, userId, "reply", `replied to your comment: "${comment}"`, postId, commentId);
+            emitUnreadNotificationCount(reply.repliedToUserId);
+        }
 
-            // Check if the user is commenting on their own post
-            if (userId === postAuthorId) {
-                return res.status(200).json({
-                    success: true,
-                    message: "You commented on your own post.",
-                    commentId: result.insertId,
-                });
-            }
+        // Check if the user is commenting on their own post
+        if (userId === postAuthorId) {
+            return sendSuccess(res, {
+                message: "You commented on your own post.",
+                commentId,
+                parentCommentId,
+                mentions,
+            });
+        }
 
-            // Create a notification for the post's author, including the comment text and comment ID
+        // Create a notification for the post's author, including the comment text and comment ID,
+        // unless the reply notification already went to them
+        if (!reply || reply.repliedToUserId !== postAuthorId) {
             const notificationMessage = `commented on your post: "${comment}"`; // Include the comment content in the notification
-            createNotification(postAuthorId, userId, "comment", notificationMessage, postId, commentId)
-                .then(() => {
-                    emitUnreadNotificationCount(postAuthorId);
-                    res.status(201).json({
-                        success: true,
-                        message: "Comment added and notification sent successfully.",
-                        commentId: result.insertId,
-                    });
-                })
-                .catch((err) => {
-                    return res.status(500).json({
-                        success: false,
-                        error: err.message,
-                        data: null,
-                    });
-                });
-        });
-    });
+            await createNotification(postAuthorId, userId, "comment", notificationMessage, postId, commentId);
+            emitUnreadNotificationCount(postAuthorId);
+        }
+
+        sendSuccess(
+            res,
+            {
+                message: "Comment added and notification sent successfully.",
+                commentId,
+                parentCommentId,
+                mentions,
+            },
+            201
+        );
+    } catch (err) {
+        next(err);
+    }
 });
 
-// Delete Comment
-router.delete("/comment", (req, res) => {
-    const { userId, commentId } = req.body;
-
-    if (!userId || !commentId) {
-        return res.status(400).json({
-            success: false,
-            error: "User ID and Comment ID are required.",
-            data: null,
+// Top-level comments of a post, pinned first, then newest first, each with its reply_count
+router.get("/:postId(\\d+)/comments", validate(schemas.postComments), async (req, res, next) => {
+    const limit = req.query.limit || DEFAULT_PAGE_SIZE;
+
+    try {
+        const cursor = req.query.cursor ? decodeRankedCursor(req.query.cursor) : null;
+        const { comments, nextCursor } = await getPostComments({ viewerId: req.user.userId, postId: req.params.postId, cursor, limit });
+
+        sendSuccess(res, { comments, nextCursor });
+    } catch (err) {
+        next(err);
+    }
+});
+
+// Replies to a comment, oldest first
+router.get("/comment/:commentId(\\d+)/replies", validate(schemas.commentReplies), async (req, res, next) => {
+    const limit = req.query.limit || DEFAULT_PAGE_SIZE;
+
+    try {
+        const cursor = req.query.cursor ? decodeTimeCursor(req.query.cursor) : null;
+        const { replies, nextCursor } = await getCommentReplies({ viewerId: req.user.userId, commentId: req.params.commentId, cursor, limit });
+
+        sendSuccess(res, { replies, nextCursor });
+    } catch (err) {
+        next(err);
+    }
+});
+
+// Edit Comment
+router.put("/comment", validate(schemas.editComment), async (req, res, next) => {
+    const { userId } = req.user;
+    const { commentId, comment } = req.body;
+
+    try {
+        const [comments] = await db.promise().query("SELECT user_id, post_id, content FROM comments WHERE id = ?", [commentId]);
+
+        if (comments.length === 0) {
+            return next(new AppError(404, "Comment not found."));
+        }
+
+        const previous = comments[0];
+        if (previous.user_id !== userId) {
+            return next(new AppError(403, "You can only edit your own comments."));
+        }
+
+        await db.promise().query("UPDATE comments SET content = ?, is_edited = TRUE, edited_at = NOW() WHERE id = ?", [comment, commentId]);
+        await indexCommentHashtags(db.promise(), commentId, comment);
+
+        const mentions = await notifyMentions({
+            senderId: userId,
+            text: comment,
+            previousText: previous.content,
+            postId: previous.post_id,
+            commentId,
         });
+
+        const [updated] = await db.promise().query("SELECT id, post_id, content, is_edited, edited_at FROM comments WHERE id = ?", [commentId]);
+
+        sendSuccess(res, { message: "Comment updated successfully.", comment: updated[0], mentions });
+    } catch (err) {
+        next(err);
     }
+});
 
-    const getCommentQuery = "SELECT user_id FROM comments WHERE id = ?";
+// Delete Comment
+// Comment authors can delete their own comments; post authors can delete any comment on their posts.
+router.delete("/comment", validate(schemas.commentBody), (req, res, next) => {
+    const { userId } = req.user;
+    const { commentId } = req.body;
+
+    const getCommentQuery = `
+        SELECT c.user_id, p.user_id AS post_author_id
+        FROM comments c
+        INNER JOIN posts p ON p.id = c.post_id
+        WHERE c.id = ?
+    `;
     db.query(getCommentQuery, [commentId], (err, commentResult) => {
         if (err) {
-            return res.status(500).json({
-                success: false,
-                error: err.message,
-                data: null,
-            });
+            return next(err);
         }
 
         if (commentResult.length === 0) {
-            return res.status(404).json({
-                success: false,
-                error: "Comment not found.",
-                data: null,
-            });
+            return next(new AppError(404, "Comment not found."));
         }
 
-        const commentOwnerId = commentResult[0].user_id;
-        if (commentOwnerId !== userId) {
-            return res.status(403).json({
-                success: false,
-                error: "You are not authorized to delete this comment.",
-                data: null,
-            });
+        const { user_id: commentOwnerId, post_author_id: postAuthorId } = commentResult[0];
+        if (commentOwnerId !== userId && postAuthorId !== userId) {
+            return next(new AppError(403, "You are not authorized to delete this comment."));
         }
 
-        const deleteCommentQuery = "DELETE FROM comments WHERE id = ?";
-        db.query(deleteCommentQuery, [commentId], (err, result) => {
+        // Replies go with the comment they belong to, and are deleted before it
+        const deleteCommentQuery = "DELETE FROM comments WHERE id = ? OR parent_comment_id = ? ORDER BY parent_comment_id IS NULL";
+        db.query(deleteCommentQuery, [commentId, commentId], (err, result) => {
             if (err) {
-                return res.status(500).json({
-                    success: false,
-                    error: err.message,
-                    data: null,
-                });
+                return next(err);
             }
 
-            return res.status(200).json({
-                success: true,
-                error: null,
-                data: "Comment deleted successfully.",
-            });
+            return sendSuccess(res, { message: "Comment deleted successfully." });
         });
     });
 });
 
-// Save Post
-router.post("/save", (req, res) => {
-    const { userId, postId } = req.body;
-
-    // Validate the input
-    if (!userId || !postId) {
-        return res.status(400).json({
-            success: false,
-            error: "userId and postId are required.",
-            data: null,
+// Like or unlike a Comment
+router.post("/comment/like", validate(schemas.commentBody), async (req, res, next) => {
+    const { userId } = req.user;
+    const { commentId } = req.body;
+
+    try {
+        const [comments] = await db.promise().query(
+            `SELECT c.user_id, p.user_id AS post_author_id
+             FROM comments c
+             INNER JOIN posts p ON p.id = c.post_id
+             WHERE c.id = ?`,
+            [commentId]
+        );
+
+        // Comments by, or on posts of, users blocked with the viewer are hidden from them
+        const comment = comments[0];
+        if (!comment || (await isBlockedBetween(userId, comment.user_id)) || (await isBlockedBetween(userId, comment.post_author_id))) {
+            return next(new AppError(404, "Comment not found."));
+        }
+
+        const [removed] = await db.promise().query("DELETE FROM comment_likes WHERE comment_id = ? AND user_id = ?", [commentId, userId]);
+        const liked = removed.affectedRows === 0;
+
+        if (liked) {
+            await db.promise().query("INSERT IGNORE INTO comment_likes (comment_id, user_id) VALUES (?, ?)", [commentId, userId]);
+        }
+
+        const [countResult] = await db.promise().query("SELECT COUNT(*) AS like_count FROM comment_likes WHERE comment_id = ?", [commentId]);
+
+        sendSuccess(res, {
+            message: liked ? "Comment liked successfully." : "Comment unliked successfully.",
+            liked,
+            like_count: countResult[0].like_count,
         });
+    } catch (err) {
+        next(err);
+    }
+});
+
+// Pin a Comment to the top of one of your posts
+router.post("/comment/pin", validate(schemas.commentBody), async (req, res, next) => {
+    try {
+        await setCommentPinned({ userId: req.user.userId, commentId: req.body.commentId, pinned: true });
+        sendSuccess(res, { message: "Comment pinned successfully." });
+    } catch (err) {
+        next(err);
+    }
+});
+
+// Unpin a Comment
+router.delete("/comment/pin", validate(schemas.commentBody), async (req, res, next) => {
+    try {
+        await setCommentPinned({ userId: req.user.userId, commentId: req.body.commentId, pinned: false });
+        sendSuccess(res, { message: "Comment unpinned successfully." });
+    } catch (err) {
+        next(err);
+    }
+});
+
+// Save Post
+router.post("/save", validate(schemas.postBody), async (req, res, next) => {
+    const { userId } = req.user;
+    const { postId } = req.body;
+
+    try {
+        const [posts] = await db.promise().query("SELECT user_id FROM posts WHERE id = ?", [postId]);
+
+        // Users blocked with the author can't see the post, so it doesn't exist for them
+        if (posts.length === 0 || (await isBlockedBetween(userId, posts[0].user_id))) {
+            return next(new AppError(404, "Post not found."));
+        }
+    } catch (err) {
+        return next(err);
     }
 
     // Check if the post is already saved in the saved_posts table for this user
@@ -330,11 +448,7 @@ router.post("/save", (req, res) => {
 
     db.query(checkSavedPostQuery, [userId, postId], (err, result) => {
         if (err) {
-            return res.status(500).json({
-                success: false,
-                error: err.message,
-                data: null,
-            });
+            return next(err);
         }
 
         if (result.length > 0) {
@@ -345,20 +459,12 @@ router.post("/save", (req, res) => {
 
             db.query(deleteSavedPostQuery, [userId, postId], (err, result) => {
                 if (err) {
-                    return res.status(500).json({
-                        success: false,
-                        error: err.message,
-                        data: null,
-                    });
+                    return next(err);
                 }
 
-                res.status(200).json({
-                    success: true,
-                    error: null,
-                    data: {
-                        message: "Post removed from saved posts",
-                        postId,
-                    },
+                sendSuccess(res, {
+                    message: "Post removed from saved posts",
+                    postId,
                 });
             });
         } else {
@@ -369,193 +475,87 @@ router.post("/save", (req, res) => {
 
             db.query(insertSavedPostQuery, [userId, postId], (err, result) => {
                 if (err) {
-                    return res.status(500).json({
-                        success: false,
-                        error: err.message,
-                        data: null,
-                    });
+                    return next(err);
                 }
 
-                res.status(200).json({
-                    success: true,
-                    error: null,
-                    data: {
-                        message: "Post saved successfully",
-                        postId,
-                    },
+                sendSuccess(res, {
+                    message: "Post saved successfully",
+                    postId,
                 });
             });
         }
     });
 });
 
-// Fetch Home Page Posts
-router.get("/", (req, res) => {
-    const { userId } = req.params.userId ? req.params : req.query;
-
-    let postsQuery = `
-        SELECT u.username,
-            u.profile_picture,
-            p.*,
-            IF(sp.user_id IS NOT NULL, 1, 0) AS saved_by_current_user
-        FROM posts p
-        INNER JOIN users u
-            ON p.user_id = u.id
-        LEFT JOIN followers f
-            ON p.user_id = f.following_id
-        LEFT JOIN saved_posts sp
-            ON p.id = sp.post_id AND sp.user_id = p.user_id
-        WHERE f.follower_id = ? OR p.user_id = ?
-        ORDER BY p.created_at DESC;
-    `;
-
-    db.query(postsQuery, [userId, userId], (err, result) => {
-        if (err) {
-            return res.status(500).json({
-                success: false,
-                error: err.message,
-                data: null,
-            });
-        }
-
-        // Fetch like counts for each post
-        const postIds = result.map((post) => post.id);
-
-        let likesQuery = `SELECT post_id, COUNT(*) AS like_count FROM likes WHERE post_id IN (?) GROUP BY post_id;`;
-
-        db.query(likesQuery, [postIds], (err, likesResult) => {
-            if (err) {
-                return res.status(500).json({
-                    success: false,
-                    error: err.message,
-                    data: null,
-                });
-            }
-
-            // Create a map of post_id to like_count
-            const likeCounts = likesResult.reduce((acc, like) => {
-                acc[like.post_id] = like.like_count;
-                return acc;
-            }, {});
-
-            // If userId is provided, fetch liked posts by the current user
-            if (userId) {
-                let likedPostsQuery = `
-                    SELECT post_id
-                    FROM likes
-                    WHERE user_id = ?
-                    AND post_id IN (?);
-                `;
-
-                db.query(likedPostsQuery, [userId, postIds], (err, likedPostsResult) => {
-                    if (err) {
-                        return res.status(500).json({
-                            success: false,
-                            error: err.message,
-                            data: null,
-                        });
-                    }
-
-                    // Create a set of post_ids that the user has liked
-                    const likedPostsByCurrentUser = new Set(likedPostsResult.map((like) => like.post_id));
+// Fetch Home Page Posts (?mode=ranked for the "For You" feed, newest first otherwise)
+router.get("/", validate(schemas.feed), async (req, res, next) => {
+    const { userId } = req.user;
+    const limit = req.query.limit || DEFAULT_PAGE_SIZE;
 
-                    // Add like count and like status to posts
-                    result.forEach((post) => {
-                        const createdAt = new Date(post.created_at);
-                        post.timeAgo = getTimeAgo(createdAt);
+    try {
+        const ranked = req.query.mode === "ranked";
+        const decode = ranked ? decodeRankedCursor : decodeTimeCursor;
+        const cursor = req.query.cursor ? decode(req.query.cursor) : null;
 
-                        // Set the like count
-                        post.like_count = likeCounts[post.id] || 0;
+        const { posts, nextCursor } = await (ranked ? getRankedFeed : getHomeFeed)({ viewerId: userId, cursor, limit });
 
-                        // If userId is provided, check if the current user liked the post
-                        post.liked_by_current_user = likedPostsByCurrentUser.has(post.id) ? 1 : 0;
-                    });
+        sendSuccess(res, { posts, nextCursor });
+    } catch (err) {
+        next(err);
+    }
+});
 
-                    // Fetch comments for each post
-                    let commentsQuery = `
-                        SELECT c.id, c.post_id, c.user_id, c.content, c.parent_comment_id, c.created_at, c.updated_at, 
-                               u.username AS commenter_username, u.profile_picture AS commenter_profile_picture
-                        FROM comments c
-                        INNER JOIN users u ON c.user_id = u.id
-                        WHERE c.post_id IN (?)
-                        ORDER BY c.created_at DESC;
-                    `;
+// Explore: trending posts from public accounts outside the viewer's follow graph
+router.get("/explore", validate(schemas.explore), async (req, res, next) => {
+    const { userId } = req.user;
+    const limit = req.query.limit || DEFAULT_PAGE_SIZE;
 
-                    db.query(commentsQuery, [postIds], (err, commentsResult) => {
-                        if (err) {
-                            return res.status(500).json({
-                                success: false,
-                                error: err.message,
-                                data: null,
-                            });
-                        }
+    try {
+        const cursor = req.query.cursor ? decodeRankedCursor(req.query.cursor) : null;
+        const { posts, nextCursor } = await getExploreFeed({ viewerId: userId, cursor, limit });
 
-                        // Organize comments by post_id and set timeAgo for each comment
-                        const commentsByPostId = commentsResult.reduce((acc, comment) => {
-                            if (!acc[comment.post_id]) {
-                                acc[comment.post_id] = [];
-                            }
-                            comment.timeAgo = getTimeAgo(new Date(comment.created_at)); // Set timeAgo for comment
-                            acc[comment.post_id].push(comment);
-                            return acc;
-                        }, {});
+        sendSuccess(res, { posts, nextCursor });
+    } catch (err) {
+        next(err);
+    }
+});
 
-                        // Add comment count and comments to posts
-                        result.forEach((post) => {
-                            post.comment_count = commentsByPostId[post.id] ? commentsByPostId[post.id].length : 0; // Add comment count
-                            post.comments = commentsByPostId[post.id] || []; // Add comments
-                        });
+// Posts tagged with a hashtag, newest first. The tag may be given with or without "#".
+router.get("/tags/:tag", validate(schemas.tag), async (req, res, next) => {
+    const { userId } = req.user;
+    const tag = req.params.tag.replace(/^#/, "").toLowerCase();
+    const limit = req.query.limit || DEFAULT_PAGE_SIZE;
 
-                        res.status(200).json({
-                            success: true,
-                            error: null,
-                            data: result,
-                        });
-                    });
-                });
-            } else {
-                // If no userId is provided, simply return the posts with like counts
-                result.forEach((post) => {
-                    post.like_count = likeCounts[post.id] || 0;
-                });
+    try {
+        const cursor = req.query.cursor ? decodeTimeCursor(req.query.cursor) : null;
+        const { postCount, posts, nextCursor } = await getTagFeed({ viewerId: userId, tag, cursor, limit });
 
-                res.status(200).json({
-                    success: true,
-                    error: null,
-                    data: result,
-                });
-            }
-        });
-    });
+        sendSuccess(res, { tag, post_count: postCount, posts, nextCursor });
+    } catch (err) {
+        next(err);
+    }
 });
 
-// Fetch Profile Page Posts
-router.post(["/:userId"], (req, res) => {
+// Fetch Profile Page Posts. Only numeric ids match, so named routes like /finalize below reach their handlers.
+router.post(["/:userId(\\d+)"], validate(schemas.profilePosts), (req, res, next) => {
     const { userId } = req.params;
-    const { currentUserId } = req.body;
+    const { userId: currentUserId } = req.user;
 
     // Query to check if the user is private
+    // Blocked users don't exist for each other
     const privacyQuery = `
         SELECT is_private 
         FROM users 
-        WHERE id = ?;
+        WHERE id = ? AND ${notBlockedWith("id")};
     `;
 
-    db.query(privacyQuery, [userId], (err, userResult) => {
+    db.query(privacyQuery, [userId, currentUserId, currentUserId], (err, userResult) => {
         if (err) {
-            return res.status(500).json({
-                success: false,
-                error: err.message,
-                data: null,
-            });
+            return next(err);
         }
 
         if (userResult.length === 0) {
-            return res.status(404).json({
-                success: false,
-                error: "User not found",
-                data: null,
-            });
+            return next(new AppError(404, "User not found"));
         }
 
         const isPrivate = userResult[0].is_private;
@@ -570,224 +570,190 @@ router.post(["/:userId"], (req, res) => {
 
             db.query(followCheckQuery, [currentUserId, userId], (err, followResult) => {
                 if (err) {
-                    return res.status(500).json({
-                        success: false,
-                        error: err.message,
-                        data: null,
-                    });
+                    return next(err);
                 }
 
                 if (followResult.length === 0) {
-                    return res.status(403).json({
-                        success: false,
-                        error: "This account is private. You must follow the user to see their posts.",
-                        data: null,
-                    });
+                    return next(
+                        new AppError(403, "This account is private. You must follow the user to see their posts.", { code: "PRIVATE_ACCOUNT" })
+                    );
                 }
 
                 // User is following, so proceed with fetching posts
-                fetchPosts(userId, currentUserId, res);
+                fetchPosts(userId, currentUserId, res, next);
             });
         } else {
             // User is public, proceed with fetching posts
-            fetchPosts(userId, currentUserId, res);
+            fetchPosts(userId, currentUserId, res, next);
         }
     });
 });
 
 // Create Post
-router.post("/", upload.single("image"), async (req, res) => {
-    const { content, location, user_id } = req.body;
-    const file = req.file;
-
-    if (!content || !file) {
-        return res.status(400).json({
-            success: false,
-            error: "Content and image are required.",
-            data: null,
-        });
+// Accepts up to MAX_POST_MEDIA files in "media" (in display order), or a single legacy "image".
+// altText is an optional JSON array of strings matching the files by position.
+router.post("/", uploadPostMedia, validate(schemas.createPost), async (req, res, next) => {
+    const { content, location } = req.body;
+    const { userId: user_id } = req.user;
+    const files = [...((req.files && req.files.media) || []), ...((req.files && req.files.image) || [])];
+
+    if (files.length === 0) {
+        return next(new AppError(400, "At least one image or video is required."));
     }
 
-    const fileName = file.originalname;
-    const fileType = file.mimetype;
-    let mediaWidth = null;
-    let mediaHeight = null;
+    if (files.length > MAX_POST_MEDIA) {
+        return next(new AppError(400, `A post can have at most ${MAX_POST_MEDIA} media items.`));
+    }
 
-    // Extract image dimensions if the file is an image
-    if (fileType.startsWith("image/")) {
+    let altTexts = [];
+    if (req.body.altText) {
         try {
-            const metadata = await sharp(file.buffer).metadata();
-            mediaWidth = metadata.width;
-            mediaHeight = metadata.height;
+            altTexts = JSON.parse(req.body.altText);
         } catch (err) {
-            console.error("Error processing image:", err);
-            return res.status(500).json({
-                success: false,
-                error: "Failed to process image.",
-                data: null,
-            });
+            altTexts = null;
+        }
+        if (!Array.isArray(altTexts) || altTexts.some((text) => text !== null && (typeof text !== "string" || text.length > MAX_ALT_TEXT_LENGTH))) {
+            return next(
+                new AppError(400, `altText must be a JSON array of strings up to ${MAX_ALT_TEXT_LENGTH} characters.`, { code: "VALIDATION_ERROR" })
+            );
         }
     }
 
-    const uploadParams = {
-        Bucket: process.env.AWS_S3_BUCKET_NAME,
-        Key: `uploads/${Date.now()}_${fileName}`,
-        Body: file.buffer,
-        ContentType: fileType,
-        ACL: "public-read",
-    };
+    const unsupported = files.find((file) => !mediaTypeFromMime(file.mimetype));
+    if (unsupported) {
+        return next(new AppError(400, `Unsupported file type: ${unsupported.mimetype}`));
+    }
 
+    let media;
     try {
-        const command = new PutObjectCommand(uploadParams);
-        await s3.send(command);
-
-        const fileUrl = `https://${uploadParams.Bucket}.s3.${process.env.AWS_REGION}.amazonaws.com/${uploadParams.Key}`;
+        // One file at a time: video transcoding is CPU heavy
+        media = [];
+        for (const [index, file] of files.entries()) {
+            const baseName = path.parse(file.originalname).name;
+            const item = await storeMedia(file.buffer, file.mimetype, storage.buildKey("uploads", `${index}_${baseName}`));
+            media.push({ ...item, altText: altTexts[index] });
+        }
+    } catch (err) {
+        return next(err);
+    }
 
-        // Insert post into database with image dimensions
-        const query = `
-            INSERT INTO posts (content, file_url, location, user_id, media_width, media_height)
-            VALUES (?, ?, ?, ?, ?, ?)
-        `;
-        db.query(query, [content, fileUrl, location, user_id, mediaWidth, mediaHeight], (err, result) => {
-            if (err) {
-                return res.status(500).json({
-                    success: false,
-                    error: err.message,
-                    data: null,
-                });
-            }
+    try {
+        const postId = await createPostWithMedia({ userId: user_id, content, location, media });
+        const mentions = await notifyMentions({ senderId: user_id, text: content, postId });
 
-            res.status(201).json({
-                success: true,
-                error: null,
-                message: "Post created successfully",
-                postId: result.insertId,
-                fileUrl,
-                mediaWidth,
-                mediaHeight,
-            });
-        });
-    } catch (error) {
-        console.error("S3 Upload Error:", error);
-        res.status(500).json({
-            success: false,
-            error: "Failed to upload image to S3.",
-            data: null,
-        });
+        sendSuccess(res, createdPostBody(postId, media, mentions), 201);
+    } catch (err) {
+        next(err);
     }
 });
 
-// Update Post
-router.post("/update/:postId", (req, res) => {
-    const { postId } = req.params;
-    const { content } = req.body;
+// Create a post from files uploaded directly to storage (see POST /api/uploads).
+// uploadIds lists the uploads in display order.
+router.post("/finalize", validate(schemas.finalizePost), async (req, res, next) => {
+    const { userId } = req.user;
+    const { uploadIds, content, location, altText = [] } = req.body;
 
-    if (!content) {
-        return res.status(400).json({
-            success: false,
-            error: "At least one field is required for updating.",
-            data: null,
-        });
+    let uploads;
+    try {
+        uploads = await claimUploads(userId, uploadIds, "post");
+    } catch (err) {
+        return next(err);
     }
 
-    let query = "UPDATE posts SET ";
-    const updates = [];
-    const values = [];
+    // One file at a time: video transcoding is CPU heavy
+    const media = [];
+    let postId;
+    try {
+        for (const [index, directUpload] of uploads.entries()) {
+            const baseName = path.parse(directUpload.file_name).name;
+            const item = await withDownloadedUpload(directUpload, (filePath) =>
+                storeMedia(filePath, directUpload.content_type, storage.buildKey("uploads", `${index}_${baseName}`))
+            );
+            media.push({ ...item, altText: altText[index] });
+        }
 
-    if (content) {
-        updates.push("content = ?");
-        values.push(content);
+        postId = await createPostWithMedia({ userId, content, location, media });
+    } catch (err) {
+        // No post was created: drop what was stored and let the client retry with the same uploads
+        await Promise.all([deleteMedia(media.flatMap(storedMediaUrlsOf)), releaseUploads(uploadIds)]);
+        return next(err);
     }
 
-    query += updates.join(", ") + " WHERE id = ?";
-    values.push(postId);
+    // From here on the post exists, so the uploads stay claimed even if a later step fails
+    try {
+        // The processed copies replace the original uploads
+        await discardUploads(uploads);
 
-    db.query(query, values, (err, result) => {
-        if (err) {
-            return res.status(500).json({
-                success: false,
-                error: err.message,
-                data: null,
-            });
-        }
+        const mentions = await notifyMentions({ senderId: userId, text: content, postId });
 
-        if (result.affectedRows === 0) {
-            return res.status(404).json({
-                success: false,
-                error: "Post not found or no changes made.",
-                data: null,
-            });
+        sendSuccess(res, createdPostBody(postId, media, mentions), 201);
+    } catch (err) {
+        next(err);
+    }
+});
+
+// Update Post
+router.post("/update/:postId", validate(schemas.updatePost), async (req, res, next) => {
+    const { postId } = req.params;
+    const { userId } = req.user;
+    const { content } = req.body;
+
+    try {
+        const [posts] = await db.promise().query("SELECT content FROM posts WHERE id = ? AND user_id = ?", [postId, userId]);
+
+        if (posts.length === 0) {
+            return next(new AppError(404, "Post not found or no changes made."));
         }
 
-        res.status(200).json({
-            success: true,
-            error: null,
+        await db.promise().query("UPDATE posts SET content = ? WHERE id = ? AND user_id = ?", [content, postId, userId]);
+        await indexPostHashtags(db.promise(), postId, content);
+
+        // Only people newly mentioned by the edit are notified
+        const mentions = await notifyMentions({ senderId: userId, text: content, previousText: posts[0].content, postId });
+
+        sendSuccess(res, {
             message: "Post updated successfully",
-            data: {
-                postId,
-                updatedFields: {
-                    content,
-                },
+            postId,
+            updatedFields: {
+                content,
             },
+            mentions,
         });
-    });
+    } catch (err) {
+        next(err);
+    }
 });
 
 // Delete Post
-router.delete("/", (req, res) => {
-    const { userId, postId } = req.query;
-
-    if (!userId) {
-        return res.status(400).json({
-            success: false,
-            error: "User ID is required to delete the post",
-            data: null,
-        });
-    }
+router.delete("/", validate(schemas.deletePost), async (req, res, next) => {
+    const { userId } = req.user;
+    const { postId } = req.query;
 
-    const checkOwnershipQuery = "SELECT * FROM posts WHERE id = ? AND user_id = ?";
+    try {
+        const [posts] = await db.promise().query("SELECT id, file_url, thumbnail_url FROM posts WHERE id = ? AND user_id = ?", [postId, userId]);
 
-    db.query(checkOwnershipQuery, [postId, userId], (err, result) => {
-        if (err) {
-            return res.status(500).json({
-                success: false,
-                error: err.message,
-                data: null,
-            });
+        if (posts.length === 0) {
+            return next(new AppError(403, "You can only delete your own posts"));
         }
 
-        if (result.length === 0) {
-            return res.status(403).json({
-                success: false,
-                error: "You can only delete your own posts",
-                data: null,
-            });
-        }
+        const [media] = await db.promise().query("SELECT file_url, thumbnail_url, variants FROM post_media WHERE post_id = ?", [postId]);
 
-        const deleteQuery = "DELETE FROM posts WHERE id = ?";
+        await db.promise().query("DELETE FROM posts WHERE id = ?", [postId]);
 
-        db.query(deleteQuery, [postId], (err, result) => {
-            if (err) {
-                return res.status(500).json({
-                    success: false,
-                    error: err.message,
-                    data: null,
-                });
-            }
+        // Remove the files once the rows are gone
+        await deleteMedia([...mediaUrlsOf(posts[0]), ...media.flatMap(mediaUrlsOf)]);
 
-            res.status(200).json({
-                success: true,
-                error: null,
-                message: "Post deleted successfully",
-                data: null,
-            });
+        sendSuccess(res, {
+            message: "Post deleted successfully",
         });
-    });
+    } catch (err) {
+        next(err);
+    }
 });
 
 // Fetch Saved Posts
-router.get(["/saved"], (req, res) => {
-    const { userId } = req.params.userId ? req.params : req.query;
+router.get(["/saved"], (req, res, next) => {
+    const { userId } = req.user;
 
     let savedPostsQuery = `
         SELECT u.username,
@@ -799,38 +765,27 @@ router.get(["/saved"], (req, res) => {
         INNER JOIN saved_posts sp
             ON p.id = sp.post_id
         WHERE sp.user_id = ?
+        AND ${notBlockedWith("p.user_id")}
         ORDER BY p.created_at DESC;
     `;
 
-    db.query(savedPostsQuery, [userId], (err, result) => {
+    db.query(savedPostsQuery, [userId, userId, userId], (err, result) => {
         if (err) {
-            return res.status(500).json({
-                success: false,
-                error: err.message,
-                data: null,
-            });
+            return next(err);
         }
 
         // Fetch like counts for each post
         const postIds = result.map((post) => post.id);
 
         if (postIds.length === 0) {
-            return res.status(200).json({
-                success: true,
-                error: null,
-                data: result,
-            });
+            return sendSuccess(res, result);
         }
 
         let likesQuery = `SELECT post_id, COUNT(*) AS like_count FROM likes WHERE post_id IN (?) GROUP BY post_id;`;
 
         db.query(likesQuery, [postIds], (err, likesResult) => {
             if (err) {
-                return res.status(500).json({
-                    success: false,
-                    error: err.message,
-                    data: null,
-                });
+                return next(err);
             }
 
             // Create a map of post_id to like_count
@@ -850,11 +805,7 @@ router.get(["/saved"], (req, res) => {
 
                 db.query(likedPostsQuery, [userId, postIds], (err, likedPostsResult) => {
                     if (err) {
-                        return res.status(500).json({
-                            success: false,
-                            error: err.message,
-                            data: null,
-                        });
+                        return next(err);
                     }
 
                     // Create a set of post_ids that the user has liked
@@ -875,20 +826,18 @@ router.get(["/saved"], (req, res) => {
                     // Fetch comments for each post
                     let commentsQuery = `
                         SELECT c.id, c.post_id, c.user_id, c.content, c.parent_comment_id, c.created_at, c.updated_at, 
+                               c.is_edited, c.edited_at, c.pinned_at,
                                u.username AS commenter_username, u.profile_picture AS commenter_profile_picture
                         FROM comments c
                         INNER JOIN users u ON c.user_id = u.id
                         WHERE c.post_id IN (?)
-                        ORDER BY c.created_at DESC;
+                        AND ${notBlockedWith("c.user_id")}
+                        ORDER BY ${COMMENT_ORDER};
                     `;
 
-                    db.query(commentsQuery, [postIds], (err, commentsResult) => {
+                    db.query(commentsQuery, [postIds, userId, userId], (err, commentsResult) => {
                         if (err) {
-                            return res.status(500).json({
-                                success: false,
-                                error: err.message,
-                                data: null,
-                            });
+                            return next(err);
                         }
 
                         // Organize comments by post_id and set timeAgo for each comment
@@ -907,11 +856,9 @@ router.get(["/saved"], (req, res) => {
                             post.comments = commentsByPostId[post.id] || []; // Add comments
                         });
 
-                        res.status(200).json({
-                            success: true,
-                            error: null,
-                            data: result,
-                        });
+                        Promise.all([attachMedia(result), attachCommentLikes(commentsResult, userId)])
+                            .then(() => sendSuccess(res, result))
+                            .catch(next);
                     });
                 });
             } else {
@@ -920,17 +867,13 @@ router.get(["/saved"], (req, res) => {
                     post.like_count = likeCounts[post.id] || 0;
                 });
 
-                res.status(200).json({
-                    success: true,
-                    error: null,
-                    data: result,
-                });
+                sendSuccess(res, result);
             }
         });
     });
 });
 
-function fetchPosts(userId, currentUserId, res) {
+function fetchPosts(userId, currentUserId, res, next) {
     let postsQuery = `
         SELECT u.username, u.profile_picture, p.* 
         FROM posts p 
@@ -941,19 +884,11 @@ function fetchPosts(userId, currentUserId, res) {
 
     db.query(postsQuery, [userId], (err, result) => {
         if (err) {
-            return res.status(500).json({
-                success: false,
-                error: err.message,
-                data: null,
-            });
+            return next(err);
         }
 
         if (result.length === 0) {
-            return res.status(200).json({
-                success: true,
-                error: null,
-                data: [],
-            });
+            return sendSuccess(res, []);
         }
 
         const postIds = result.map((post) => post.id);
@@ -966,11 +901,7 @@ function fetchPosts(userId, currentUserId, res) {
 
         db.query(likesQuery, [postIds], (err, likesResult) => {
             if (err) {
-                return res.status(500).json({
-                    success: false,
-                    error: err.message,
-                    data: null,
-                });
+                return next(err);
             }
 
             const likeCounts = likesResult.reduce((acc, like) => {
@@ -988,28 +919,22 @@ function fetchPosts(userId, currentUserId, res) {
             });
 
             if (postIds.length === 0) {
-                return res.status(200).json({
-                    success: true,
-                    error: null,
-                    data: result,
-                });
+                return sendSuccess(res, result);
             }
 
             let commentsQuery = `
-                SELECT c.id, c.post_id, c.user_id, c.content, c.parent_comment_id, c.created_at, c.updated_at, u.username AS commenter_username, u.profile_picture AS commenter_profile_picture
+                SELECT c.id, c.post_id, c.user_id, c.content, c.parent_comment_id, c.created_at, c.updated_at, c.is_edited, c.edited_at, c.pinned_at,
+                       u.username AS commenter_username, u.profile_picture AS commenter_profile_picture
                 FROM comments c
                 INNER JOIN users u ON c.user_id = u.id
                 WHERE c.post_id IN (?)
-                ORDER BY c.created_at DESC;
+                AND ${notBlockedWith("c.user_id")}
+                ORDER BY ${COMMENT_ORDER};
             `;
 
-            db.query(commentsQuery, [postIds], (err, commentsResult) => {
+            db.query(commentsQuery, [postIds, currentUserId, currentUserId], (err, commentsResult) => {
                 if (err) {
-                    return res.status(500).json({
-                        success: false,
-                        error: err.message,
-                        data: null,
-                    });
+                    return next(err);
                 }
 
                 const commentsByPostId = commentsResult.reduce((acc, comment) => {
@@ -1026,11 +951,9 @@ function fetchPosts(userId, currentUserId, res) {
                     post.comments = commentsByPostId[post.id] || [];
                 });
 
-                res.status(200).json({
-                    success: true,
-                    error: null,
-                    data: result,
-                });
+                Promise.all([attachMedia(result), attachCommentLikes(commentsResult, currentUserId)])
+                    .then(() => sendSuccess(res, result))
+                    .catch(next);
             });
         });
     });
@@ -1,58 +1,62 @@
 const express = require("express");
 const db = require("../db");
 const router = express.Router();
-
-router.get("/", (req, res) => {
-    const { searchString } = req.query; // Extract search string from query parameters
-
-    if (!searchString || searchString.trim().length === 0) {
-        return res.status(400).json({
-            success: false,
-            error: "Search string is required.",
-            data: null,
-        });
+const validate = require("../middleware/validate");
+const { AppError } = require("../utils/errors");
+const { sendSuccess } = require("../utils/response");
+const { DEFAULT_PAGE_SIZE, decodeRankedCursor, paginationQuery } = require("../utils/pagination");
+const { SEARCH_TYPES, search } = require("../services/searchService");
+
+// Request schemas
+const idRule = { type: "integer", required: true, min: 1 };
+
+const schemas = {
+    search: {
+        query: {
+            searchString: { type: "string", required: true, maxLength: 100 },
+            type: { type: "string", enum: SEARCH_TYPES },
+            ...paginationQuery,
+        },
+    },
+    addHistory: { body: { target_user_id: idRule } },
+    deleteHistory: { query: { historyId: idRule } },
+};
+
+// Search users, hashtags and posts.
+// With ?type= one result type is returned and paged with ?cursor=; without it the first page of
+// every type is returned along with a cursor per type for loading more.
+router.get("/", validate(schemas.search), async (req, res, next) => {
+    const { userId } = req.user;
+    const { type, cursor } = req.query;
+    const term = req.query.searchString.trim();
+    const limit = req.query.limit || DEFAULT_PAGE_SIZE;
+
+    if (cursor && !type) {
+        return next(new AppError(400, "A cursor can only be used together with a search type.", { code: "VALIDATION_ERROR" }));
     }
 
-    const searchQuery = `
-        SELECT id, username, email, profile_picture 
-        FROM users 
-        WHERE username LIKE ? 
-        LIMIT 10`; // Limits to 10 results for performance
-
-    // Use '%' on both sides for partial matching
-    db.query(searchQuery, [`%${searchString}%`], (err, results) => {
-        if (err) {
-            return res.status(500).json({
-                success: false,
-                error: err.message,
-                data: null,
-            });
+    try {
+        if (type) {
+            const { results, nextCursor } = await search({ viewerId: userId, type, term, cursor: cursor ? decodeRankedCursor(cursor) : null, limit });
+            return sendSuccess(res, { [type]: results, nextCursor });
         }
 
-        // If no results found
-        if (results.length === 0) {
-            return res.status(200).json({
-                success: true,
-                error: null,
-                data: {
-                    message: "No users found.",
-                    users: [],
-                },
-            });
-        }
+        const pages = await Promise.all(SEARCH_TYPES.map((searchType) => search({ viewerId: userId, type: searchType, term, limit })));
 
-        res.status(200).json({
-            success: true,
-            error: null,
-            data: {
-                users: results,
-            },
+        const body = { nextCursors: {} };
+        SEARCH_TYPES.forEach((searchType, index) => {
+            body[searchType] = pages[index].results;
+            body.nextCursors[searchType] = pages[index].nextCursor;
         });
-    });
+
+        sendSuccess(res, body);
+    } catch (err) {
+        next(err);
+    }
 });
 
-router.get("/history", (req, res) => {
-    const { userId } = req.query;
+router.get("/history", (req, res, next) => {
+    const { userId } = req.user;
 
     const query = `
     SELECT 
@@ -60,7 +64,6 @@ router.get("/history", (req, res) => {
       sh.created_at,
       u.id AS id,
       u.username,
-      u.email,
       u.profile_picture
     FROM search_history sh
     JOIN users u ON sh.target_user_id = u.id
@@ -69,42 +72,40 @@ router.get("/history", (req, res) => {
     LIMIT 20`;
 
     db.query(query, [userId], (err, results) => {
-        if (err) return res.status(500).json({ error: err.message });
-        res.json({ data: results });
+        if (err) return next(err);
+        sendSuccess(res, results);
     });
 });
 
 // Add to search history when user is clicked
-router.post("/history", (req, res) => {
-    const { userId, target_user_id } = req.body;
-
-    if (!target_user_id) {
-        return res.status(400).json({ error: "Target user ID is required" });
-    }
+router.post("/history", validate(schemas.addHistory), (req, res, next) => {
+    const { userId } = req.user;
+    const { target_user_id } = req.body;
 
     // Delete old entry if exists
     db.query("DELETE FROM search_history WHERE user_id = ? AND target_user_id = ?", [userId, target_user_id], (deleteErr) => {
-        if (deleteErr) return res.status(500).json({ error: deleteErr.message });
+        if (deleteErr) return next(deleteErr);
 
         // Insert the new entry
         db.query("INSERT INTO search_history (user_id, target_user_id) VALUES (?, ?)", [userId, target_user_id], (insertErr) => {
-            if (insertErr) return res.status(500).json({ error: insertErr.message });
-            res.json({ success: true });
+            if (insertErr) return next(insertErr);
+            sendSuccess(res, null);
         });
     });
 });
 
-router.delete("/history", (req, res) => {
-    const { userId, historyId } = req.query;
+router.delete("/history", validate(schemas.deleteHistory), (req, res, next) => {
+    const { userId } = req.user;
+    const { historyId } = req.query;
 
     const query = `
     DELETE FROM search_history 
     WHERE id = ? AND user_id = ?`;
 
     db.query(query, [historyId, userId], (err, result) => {
-        if (err) return res.status(500).json({ success: false, error: err.message });
-        if (result.affectedRows === 0) return res.status(404).json({ success: false });
-        res.status(200).json({ success: true });
+        if (err) return next(err);
+        if (result.affectedRows === 0) return next(new AppError(404, "Search history entry not found."));
+        sendSuccess(res, null);
     });
 });
 
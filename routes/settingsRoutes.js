@@ -1,26 +1,26 @@
 const express = require("express");
 const db = require("../db");
 const router = express.Router();
+const validate = require("../middleware/validate");
+const { sendSuccess } = require("../utils/response");
 
-router.patch("/privacy", (req, res) => {
-    const { userId, isPrivate } = req.body;
+// Request schemas
+const schemas = {
+    privacy: { body: { isPrivate: { type: "boolean", required: true } } },
+};
 
-    query = "UPDATE users SET is_private=? WHERE id=?";
+router.patch("/privacy", validate(schemas.privacy), (req, res, next) => {
+    const { userId } = req.user;
+    const { isPrivate } = req.body;
+
+    const query = "UPDATE users SET is_private=? WHERE id=?";
 
     db.query(query, [isPrivate, userId], (updateErr) => {
         if (updateErr) {
-            return res.status(500).json({
-                success: false,
-                error: updateErr.message,
-                data: null,
-            });
+            return next(updateErr);
         }
 
-        res.status(200).json({
-            success: true,
-            error: null,
-            data: { message: "privacy updated successfully" },
-        });
+        sendSuccess(res, { message: "privacy updated successfully" });
     });
 });
 
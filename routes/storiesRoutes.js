@@ -1,39 +1,70 @@
 const express = require("express");
 const db = require("../db");
 const router = express.Router();
+const validate = require("../middleware/validate");
+const { AppError } = require("../utils/errors");
+const { sendSuccess } = require("../utils/response");
 const { getTimeAgo } = require("../utils/utils");
 const { createNotification } = require("../utils/utils");
 const multer = require("multer");
-const { S3Client, PutObjectCommand } = require("@aws-sdk/client-s3");
+const path = require("path");
+const storage = require("../utils/storage");
 const { emitUnreadNotificationCount, emitNotifications } = require("../utils/utils");
-const sharp = require("sharp");
+const { mediaTypeFromMime, storeMedia } = require("../services/mediaUpload");
+const { claimUploads, releaseUploads, discardUploads, withDownloadedUpload } = require("../services/directUploads");
+const { storedMediaUrlsOf, deleteMedia } = require("../services/mediaCleanup");
+const { notBlockedWith } = require("../services/blocks");
 
 const upload = multer({ storage: multer.memoryStorage() });
 
-const s3 = new S3Client({
-    region: process.env.AWS_REGION,
-    credentials: {
-        accessKeyId: process.env.AWS_ACCESS_KEY_ID,
-        secretAccessKey: process.env.AWS_SECRET_ACCESS_KEY,
-    },
+// Insert a story for media stored by storeMedia() and return its id
+const createStory = async (userId, caption, media) => {
+    const [result] = await db.promise().query(
+        `INSERT INTO stories (caption, media_url, media_type, user_id, media_width, media_height, duration_seconds, thumbnail_url, variants)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [
+            caption,
+            media.fileUrl,
+            media.mediaType,
+            userId,
+            media.width,
+            media.height,
+            media.duration,
+            media.thumbnailUrl,
+            media.variants ? JSON.stringify(media.variants) : null,
+        ]
+    );
+    return result.insertId;
+};
+
+const createdStoryBody = (storyId, media) => ({
+    message: "Story uploaded successfully",
+    storyId,
+    mediaUrl: media.fileUrl,
+    mediaType: media.mediaType,
+    mediaWidth: media.width,
+    mediaHeight: media.height,
+    duration: media.duration,
+    thumbnailUrl: media.thumbnailUrl,
+    variants: media.variants,
 });
 
-router.get("/", async (req, res) => {
-    const { userId } = req.query; // Corrected from req.params to req.query
+// Request schemas
+const captionRule = { type: "string", maxLength: 2200 };
 
-    if (!userId) {
-        return res.status(400).json({
-            success: false,
-            error: "User ID is required.",
-            data: null,
-        });
-    }
+const schemas = {
+    upload: { body: { caption: captionRule } },
+    finalize: { body: { uploadId: { type: "integer", required: true, min: 1 }, caption: captionRule } },
+};
+
+router.get("/", async (req, res, next) => {
+    const { userId } = req.user;
 
     try {
         const query = `
             SELECT 
                 s.id AS story_id, s.caption, s.media_url, s.media_type, 
-                s.media_width, s.media_height, s.created_at, 
+                s.media_width, s.media_height, s.duration_seconds, s.thumbnail_url, s.variants, s.created_at, 
                 u.id AS user_id, u.username, u.profile_picture,
                 JSON_ARRAYAGG(
                     JSON_OBJECT(
@@ -46,22 +77,19 @@ router.get("/", async (req, res) => {
             FROM stories s
             JOIN users u ON s.user_id = u.id
             LEFT JOIN followers f ON s.user_id = f.following_id
-            LEFT JOIN story_views v ON s.id = v.story_id  -- Join with story_views table
+            LEFT JOIN story_views v ON s.id = v.story_id AND ${notBlockedWith("v.user_id")}  -- Join with story_views table, hiding blocked viewers
             LEFT JOIN users viewer ON v.user_id = viewer.id  -- Get the viewer's username
             WHERE (f.follower_id = ? OR s.user_id = ?)  -- Added check for user's own stories
+              AND ${notBlockedWith("s.user_id")}
               AND s.is_active = 1
               AND (s.expires_at IS NULL OR s.expires_at > NOW())
             GROUP BY s.id, u.id  -- Group by story and user to get all viewers for each story
             ORDER BY s.created_at DESC
         `;
 
-        db.query(query, [userId, userId], (err, results) => {
+        db.query(query, [userId, userId, userId, userId, userId, userId], (err, results) => {
             if (err) {
-                return res.status(500).json({
-                    success: false,
-                    error: err.message,
-                    data: null,
-                });
+                return next(err);
             }
 
             // Ensure viewers are parsed properly
@@ -71,101 +99,67 @@ router.get("/", async (req, res) => {
                 }
             });
 
-            return res.status(200).json({
-                success: true,
+            return sendSuccess(res, {
                 stories: results,
             });
         });
     } catch (error) {
-        console.error("Error fetching stories:", error);
-        return res.status(500).json({
-            success: false,
-            error: "Failed to fetch stories.",
-            data: null,
-        });
+        return next(new AppError(500, "Failed to fetch stories.", { cause: error }));
     }
 });
 
-router.post("/upload", upload.single("media"), async (req, res) => {
-    const { caption, user_id } = req.body;
+router.post("/upload", upload.single("media"), validate(schemas.upload), async (req, res, next) => {
+    const { caption } = req.body;
+    const { userId: user_id } = req.user;
     const file = req.file;
 
     if (!file) {
-        return res.status(400).json({
-            success: false,
-            error: "Media file is required.",
-            data: null,
-        });
+        return next(new AppError(400, "Media file is required."));
     }
 
-    const fileName = file.originalname;
-    const fileType = file.mimetype;
-    let mediaWidth = null;
-    let mediaHeight = null;
-    let mediaType = fileType.startsWith("image/") ? "image" : "video";
-
-    // Extract image dimensions only if it's an image
-    if (mediaType === "image") {
-        try {
-            const metadata = await sharp(file.buffer).metadata();
-            mediaWidth = metadata.width;
-            mediaHeight = metadata.height;
-        } catch (err) {
-            console.error("Error processing image:", err);
-            return res.status(500).json({
-                success: false,
-                error: "Failed to process image.",
-                data: null,
-            });
-        }
+    if (!mediaTypeFromMime(file.mimetype)) {
+        return next(new AppError(400, `Unsupported file type: ${file.mimetype}`));
     }
 
-    const uploadParams = {
-        Bucket: process.env.AWS_S3_BUCKET_NAME,
-        Key: `stories/${Date.now()}_${fileName}`,
-        Body: file.buffer,
-        ContentType: fileType,
-        ACL: "public-read",
-    };
-
     try {
-        const command = new PutObjectCommand(uploadParams);
-        await s3.send(command);
+        const media = await storeMedia(file.buffer, file.mimetype, storage.buildKey("stories", path.parse(file.originalname).name));
+        const storyId = await createStory(user_id, caption, media);
 
-        const mediaUrl = `https://${uploadParams.Bucket}.s3.${process.env.AWS_REGION}.amazonaws.com/${uploadParams.Key}`;
+        sendSuccess(res, createdStoryBody(storyId, media), 201);
+    } catch (err) {
+        next(err);
+    }
+});
 
-        // Insert story into the database
-        const query = `
-            INSERT INTO stories (caption, media_url, media_type, user_id, media_width, media_height)
-            VALUES (?, ?, ?, ?, ?, ?)
-        `;
-        db.query(query, [caption, mediaUrl, mediaType, user_id, mediaWidth, mediaHeight], (err, result) => {
-            if (err) {
-                return res.status(500).json({
-                    success: false,
-                    error: err.message,
-                    data: null,
-                });
-            }
+// Create a story from a file uploaded directly to storage (see POST /api/uploads)
+router.post("/finalize", validate(schemas.finalize), async (req, res, next) => {
+    const { userId } = req.user;
+    const { uploadId, caption } = req.body;
 
-            res.status(201).json({
-                success: true,
-                message: "Story uploaded successfully",
-                storyId: result.insertId,
-                mediaUrl,
-                mediaType,
-                mediaWidth,
-                mediaHeight,
-            });
-        });
-    } catch (error) {
-        console.error("S3 Upload Error:", error);
-        res.status(500).json({
-            success: false,
-            error: "Failed to upload media to S3.",
-            data: null,
-        });
+    let directUpload;
+    try {
+        [directUpload] = await claimUploads(userId, [uploadId], "story");
+    } catch (err) {
+        return next(err);
     }
+
+    let media = null;
+    let storyId;
+    try {
+        media = await withDownloadedUpload(directUpload, (filePath) =>
+            storeMedia(filePath, directUpload.content_type, storage.buildKey("stories", path.parse(directUpload.file_name).name))
+        );
+        storyId = await createStory(userId, caption, media);
+    } catch (err) {
+        // No story was created: drop what was stored and let the client retry with the same upload
+        await Promise.all([deleteMedia(media ? storedMediaUrlsOf(media) : []), releaseUploads([uploadId])]);
+        return next(err);
+    }
+
+    // The story exists now, so the upload stays claimed. The processed copy replaces it.
+    await discardUploads([directUpload]);
+
+    sendSuccess(res, createdStoryBody(storyId, media), 201);
 });
 
 module.exports = router;
@@ -0,0 +1,35 @@
+const express = require("express");
+const router = express.Router();
+const validate = require("../middleware/validate");
+const { sendSuccess } = require("../utils/response");
+const { createUpload } = require("../services/directUploads");
+
+// Request schemas
+const schemas = {
+    presign: {
+        body: {
+            purpose: { type: "string", required: true, enum: ["post", "story", "message"] },
+            fileName: { type: "string", required: true, maxLength: 255 },
+            contentType: { type: "string", required: true, maxLength: 100 },
+            size: { type: "integer", required: true, min: 1 },
+        },
+    },
+};
+
+// Issue a URL the client can PUT one file to directly. The request must use the returned
+// method and headers, and the body must be exactly `size` bytes. Once uploaded, the file is
+// turned into content with POST /api/posts/finalize, /api/stories/finalize or
+// /api/messages/media/finalize.
+router.post("/", validate(schemas.presign), async (req, res, next) => {
+    const { userId } = req.user;
+    const { purpose, fileName, contentType, size } = req.body;
+
+    try {
+        const upload = await createUpload({ userId, purpose, fileName, contentType, size });
+        sendSuccess(res, upload, 201);
+    } catch (err) {
+        next(err);
+    }
+});
+
+module.exports = router;
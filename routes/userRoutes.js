@@ -1,32 +1,60 @@
 const express = require("express");
 const db = require("../db");
 const router = express.Router();
+const validate = require("../middleware/validate");
+const { AppError } = require("../utils/errors");
+const { sendSuccess } = require("../utils/response");
 const sharp = require("sharp");
 
 const multer = require("multer");
-const { S3Client, PutObjectCommand } = require("@aws-sdk/client-s3");
+const storage = require("../utils/storage");
+const { deleteMedia } = require("../services/mediaCleanup");
+const { sendVerificationEmail } = require("../utils/accountTokens");
+const { isBlockedBetween, blockUser, unblockUser, listBlockedUsers } = require("../services/blocks");
 
 const upload = multer({ storage: multer.memoryStorage() });
 
-const s3 = new S3Client({
-    region: process.env.AWS_REGION,
-    credentials: {
-        accessKeyId: process.env.AWS_ACCESS_KEY_ID,
-        secretAccessKey: process.env.AWS_SECRET_ACCESS_KEY,
+// Profile pictures are stored per user, so a user can only ever point at, and replace, their own
+const profilePicturePrefix = (userId) => `profile_pictures/${userId}/`;
+
+// Request schemas
+const idRule = { type: "integer", required: true, min: 1 };
+
+const schemas = {
+    profile: { params: { userId: idRule } },
+    block: { body: { userId: idRule } },
+    updateProfile: {
+        body: {
+            updatedProfile: {
+                type: "object",
+                required: true,
+                fields: {
+                    username: { type: "username" },
+                    email: { type: "email", maxLength: 255 },
+                    bio: { type: "string", maxLength: 150 },
+                    profile_picture_url: { type: "string", maxLength: 2048, pattern: /^https?:\/\// },
+                },
+            },
+        },
     },
-});
+};
 
-router.get("/profile/:userId", async (req, res) => {
+router.get("/profile/:userId", validate(schemas.profile), async (req, res, next) => {
     try {
         const { userId } = req.params;
-        const { currentUserId } = req.query;
+        const { userId: currentUserId } = req.user;
+
+        // Blocked users don't exist for each other
+        if (await isBlockedBetween(currentUserId, userId)) {
+            return next(new AppError(404, "User not found"));
+        }
 
         // Fetch user profile
         const userQuery = "SELECT id, username, email, bio, profile_picture, is_private FROM users WHERE id = ?";
         const [userResults] = await db.promise().query(userQuery, [userId]);
 
         if (userResults.length === 0) {
-            return res.status(404).json({ success: false, error: "User not found", data: null });
+            return next(new AppError(404, "User not found"));
         }
 
         const user = userResults[0];
@@ -65,34 +93,27 @@ router.get("/profile/:userId", async (req, res) => {
 
         const isFollowing = followResults.length > 0;
 
-        res.status(200).json({
-            success: true,
-            data: {
-                ...user,
-                posts_count: postsCount,
-                followers_count: followersCount,
-                following_count: followingCount,
-                is_following: isFollowing,
-                is_request_active: followStatus === "pending",
-                follow_status: followStatus,
-            },
+        sendSuccess(res, {
+            ...user,
+            posts_count: postsCount,
+            followers_count: followersCount,
+            following_count: followingCount,
+            is_following: isFollowing,
+            is_request_active: followStatus === "pending",
+            follow_status: followStatus,
         });
     } catch (err) {
-        res.status(500).json({ success: false, error: err.message });
+        next(err);
     }
 });
 
-router.post("/profile/picture", upload.single("profile_pic"), async (req, res) => {
-    const { user_id } = req.body;
+router.post("/profile/picture", upload.single("profile_pic"), async (req, res, next) => {
+    const { userId: user_id } = req.user;
     const file = req.file;
 
     // Validate required fields
-    if (!user_id || !file) {
-        return res.status(400).json({
-            success: false,
-            error: "User ID and profile picture are required.",
-            data: null,
-        });
+    if (!file) {
+        return next(new AppError(400, "Profile picture is required."));
     }
 
     try {
@@ -102,65 +123,63 @@ router.post("/profile/picture", upload.single("profile_pic"), async (req, res) =
             .toFormat("jpeg")
             .toBuffer();
 
-        // Define S3 upload parameters
-        const uploadParams = {
-            Bucket: process.env.AWS_S3_BUCKET_NAME,
-            Key: `profile_pictures/${Date.now()}_${file.originalname}`,
-            Body: resizedImageBuffer,
-            ContentType: "image/jpeg",
-            ACL: "public-read",
-        };
-
-        // Upload the file to S3
-        const command = new PutObjectCommand(uploadParams);
-        await s3.send(command);
+        const fileUrl = await storage.put(storage.buildKey(profilePicturePrefix(user_id), file.originalname), resizedImageBuffer, "image/jpeg");
 
-        // Construct the image URL
-        const fileUrl = `https://${uploadParams.Bucket}.s3.${process.env.AWS_REGION}.amazonaws.com/${uploadParams.Key}`;
+        const [users] = await db.promise().query("SELECT profile_picture FROM users WHERE id = ?", [user_id]);
 
         // Update the user's profile picture URL in the database
-        const query = "UPDATE users SET profile_picture = ? WHERE id = ?";
-        db.query(query, [fileUrl, user_id], (err, result) => {
-            if (err) {
-                console.error("Database error:", err.message);
-                return res.status(500).json({
-                    success: false,
-                    error: err.message,
-                    data: null,
-                });
-            }
+        await db.promise().query("UPDATE users SET profile_picture = ? WHERE id = ?", [fileUrl, user_id]);
+
+        // The previous picture is no longer referenced
+        if (users[0] && users[0].profile_picture) {
+            await deleteMedia([users[0].profile_picture], { prefix: profilePicturePrefix(user_id) });
+        }
 
-            return res.status(200).json({
-                success: true,
-                message: "Profile picture updated successfully.",
-                fileUrl,
-            });
+        return sendSuccess(res, {
+            message: "Profile picture updated successfully.",
+            fileUrl,
         });
     } catch (error) {
-        console.error("Error processing image:", error.message);
-        return res.status(500).json({
-            success: false,
-            error: error.message,
-            data: null,
-        });
+        return next(error);
     }
 });
 
-router.put("/profile/update", async (req, res) => {
-    const { userId, updatedProfile } = req.body;
-
-    // Validate required fields
-    if (!userId || !updatedProfile) {
-        return res.status(400).json({
-            success: false,
-            error: "Nothing to update",
-            data: null,
-        });
-    }
+router.put("/profile/update", validate(schemas.updateProfile), async (req, res, next) => {
+    const { userId } = req.user;
+    const { updatedProfile } = req.body;
 
     const { username, email, bio, profile_picture_url } = updatedProfile;
 
+    if (profile_picture_url && !storage.isKeyUnder(storage.keyFromUrl(profile_picture_url), profilePicturePrefix(userId))) {
+        return next(new AppError(400, "Profile pictures must be uploaded to /profile/picture first.", { code: "INVALID_PROFILE_PICTURE" }));
+    }
+
     try {
+        const [currentUsers] = await db.promise().query("SELECT username, email, profile_picture FROM users WHERE id = ?", [userId]);
+        if (currentUsers.length === 0) {
+            return next(new AppError(404, "User not found or no changes made."));
+        }
+        const currentUser = currentUsers[0];
+        const previousPicture = currentUser.profile_picture;
+        const emailChanged = Boolean(email) && email.toLowerCase() !== (currentUser.email || "").toLowerCase();
+
+        if (username || emailChanged) {
+            const [taken] = await db
+                .promise()
+                .query("SELECT username, email FROM users WHERE (username = ? OR email = ?) AND id != ?", [
+                    username || null,
+                    emailChanged ? email : null,
+                    userId,
+                ]);
+
+            if (emailChanged && taken.some((user) => user.email && user.email.toLowerCase() === email.toLowerCase())) {
+                return next(new AppError(409, "User with the same email already exists.", { code: "EMAIL_TAKEN" }));
+            }
+            if (username && taken.some((user) => user.username.toLowerCase() === username.toLowerCase())) {
+                return next(new AppError(409, "Username already taken.", { code: "USERNAME_TAKEN" }));
+            }
+        }
+
         // Prepare the update query with dynamic fields
         let query = "UPDATE users SET ";
         const values = [];
@@ -171,7 +190,8 @@ router.put("/profile/update", async (req, res) => {
             values.push(username);
         }
         if (email) {
-            query += "email = ?, ";
+            // A new address has to be verified again
+            query += emailChanged ? "email = ?, email_verified = 0, " : "email = ?, ";
             values.push(email);
         }
         if (bio) {
@@ -183,6 +203,10 @@ router.put("/profile/update", async (req, res) => {
             values.push(profile_picture_url);
         }
 
+        if (values.length === 0) {
+            return next(new AppError(400, "Nothing to update"));
+        }
+
         // Remove the trailing comma and space
         query = query.slice(0, -2);
 
@@ -193,11 +217,12 @@ router.put("/profile/update", async (req, res) => {
         const [result] = await db.promise().query(query, values);
 
         if (result.affectedRows === 0) {
-            return res.status(404).json({
-                success: false,
-                error: "User not found or no changes made.",
-                data: null,
-            });
+            return next(new AppError(404, "User not found or no changes made."));
+        }
+
+        // Clean up the old picture if this replaced it
+        if (profile_picture_url && previousPicture && previousPicture !== profile_picture_url) {
+            await deleteMedia([previousPicture], { prefix: profilePicturePrefix(userId) });
         }
 
         // Fetch the updated user data
@@ -205,18 +230,51 @@ router.put("/profile/update", async (req, res) => {
 
         const updatedUser = updatedUserResults[0];
 
-        res.status(200).json({
-            success: true,
-            message: "Profile updated successfully.",
-            data: updatedUser,
-        });
+        if (emailChanged) {
+            try {
+                await sendVerificationEmail(updatedUser);
+            } catch (mailErr) {
+                console.error("Error sending verification email:", mailErr);
+            }
+        }
+
+        sendSuccess(res, updatedUser);
     } catch (error) {
-        console.error("Error updating profile:", error.message);
-        return res.status(500).json({
-            success: false,
-            error: error.message,
-            data: null,
-        });
+        return next(error);
+    }
+});
+
+// Block a user. Removes follows and pending follow requests between the two in both directions.
+router.post("/block", validate(schemas.block), async (req, res, next) => {
+    try {
+        await blockUser(req.user.userId, req.body.userId);
+        sendSuccess(res, { message: "User blocked successfully." });
+    } catch (err) {
+        next(err);
+    }
+});
+
+router.delete("/block", validate(schemas.block), async (req, res, next) => {
+    try {
+        const unblocked = await unblockUser(req.user.userId, req.body.userId);
+
+        if (!unblocked) {
+            return next(new AppError(404, "Block not found."));
+        }
+
+        sendSuccess(res, { message: "User unblocked successfully." });
+    } catch (err) {
+        next(err);
+    }
+});
+
+// Users blocked by the current user, most recent first
+router.get("/blocked", async (req, res, next) => {
+    try {
+        const users = await listBlockedUsers(req.user.userId);
+        sendSuccess(res, users);
+    } catch (err) {
+        next(err);
     }
 });
 
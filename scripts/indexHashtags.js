@@ -0,0 +1,45 @@
+// Rebuilds the hashtag index from existing post captions and comments. New and edited posts and
+// comments are indexed as they are saved; run this once after adding the hashtag tables.
+//
+// Usage: node scripts/indexHashtags.js
+
+const db = require("../db");
+const { indexPostHashtags, indexCommentHashtags } = require("../services/tagging");
+
+const BATCH_SIZE = 500;
+
+// Walk a table in id order, indexing each row's text
+const reindex = async (table, textColumn, index) => {
+    let lastId = 0;
+    let count = 0;
+
+    for (;;) {
+        const [rows] = await db
+            .promise()
+            .query(`SELECT id, ?? AS text FROM ?? WHERE id > ? ORDER BY id LIMIT ?`, [textColumn, table, lastId, BATCH_SIZE]);
+        if (rows.length === 0) {
+            return count;
+        }
+
+        for (const row of rows) {
+            await index(db.promise(), row.id, row.text);
+        }
+
+        lastId = rows[rows.length - 1].id;
+        count += rows.length;
+    }
+};
+
+const main = async () => {
+    const posts = await reindex("posts", "content", indexPostHashtags);
+    const comments = await reindex("comments", "content", indexCommentHashtags);
+
+    console.log(`Indexed hashtags for ${posts} posts and ${comments} comments.`);
+};
+
+main()
+    .catch((err) => {
+        console.error(err);
+        process.exitCode = 1;
+    })
+    .finally(() => db.end());
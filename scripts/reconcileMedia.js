@@ -0,0 +1,39 @@
+// Lists stored media that no database row references and optionally deletes it.
+//
+// Usage: node scripts/reconcileMedia.js [--delete] [--min-age-hours=24] [--prefix=uploads/]
+// Without --delete it only reports what would be removed.
+
+const db = require("../db");
+const { reconcileStorage } = require("../services/mediaCleanup");
+
+const parseArgs = (argv) => {
+    const options = { dryRun: true };
+    for (const arg of argv) {
+        const [name, value] = arg.split("=");
+        if (name === "--delete") {
+            options.dryRun = false;
+        } else if (name === "--min-age-hours" && !Number.isNaN(Number(value))) {
+            options.minAgeHours = Number(value);
+        } else if (name === "--prefix" && value) {
+            options.prefix = value;
+        } else {
+            throw new Error(`Unknown option: ${arg}`);
+        }
+    }
+    return options;
+};
+
+const main = async () => {
+    const options = parseArgs(process.argv.slice(2));
+    const { scanned, orphaned, deleted } = await reconcileStorage(options);
+
+    orphaned.forEach((key) => console.log(`${options.dryRun ? "would delete" : "orphaned"}: ${key}`));
+    console.log(`Scanned ${scanned} objects, ${orphaned.length} orphaned${options.dryRun ? " (dry run, nothing deleted)" : `, ${deleted} deleted`}.`);
+};
+
+main()
+    .catch((err) => {
+        console.error(err);
+        process.exitCode = 1;
+    })
+    .finally(() => db.end());
@@ -5,6 +5,11 @@ const mysql = require("mysql2");
 const cors = require("cors");
 const http = require("http");
 const { initializeSocket } = require("./socket");
+const authMiddleware = require("./middleware/auth");
+const requestId = require("./middleware/requestId");
+const { errorHandler, notFoundHandler } = require("./middleware/errorHandler");
+const storage = require("./utils/storage");
+const { purgeExpiredStories } = require("./services/mediaCleanup");
 
 dotenv.config();
 
@@ -13,6 +18,7 @@ const server = http.createServer(app);
 const port = process.env.PORT || 5000;
 
 // Middleware
+app.use(requestId);
 app.use(bodyParser.json());
 
 const corsOptions = {
@@ -31,16 +37,28 @@ const searchRoutes = require("./routes/searchRoute");
 const settingsRoutes = require("./routes/settingsRoutes");
 const messagesRoutes = require("./routes/messagesRoute");
 const storiesRoutes = require("./routes/storiesRoutes");
+const uploadRoutes = require("./routes/uploadRoutes");
 
 app.use("/api/auth", authRoutes);
-app.use("/api/users", userRoutes);
-app.use("/api/follow", followRoutes);
-app.use("/api/posts", postRoutes);
-app.use("/api/notifications", notificationRoutes);
-app.use("/api/search", searchRoutes);
-app.use("/api/settings", settingsRoutes);
-app.use("/api/messages", messagesRoutes);
-app.use("/api/stories", storiesRoutes);
+app.use("/api/users", authMiddleware, userRoutes);
+app.use("/api/follow", authMiddleware, followRoutes);
+app.use("/api/posts", authMiddleware, postRoutes);
+app.use("/api/notifications", authMiddleware, notificationRoutes);
+app.use("/api/search", authMiddleware, searchRoutes);
+app.use("/api/settings", authMiddleware, settingsRoutes);
+app.use("/api/messages", authMiddleware, messagesRoutes);
+app.use("/api/stories", authMiddleware, storiesRoutes);
+app.use("/api/uploads", authMiddleware, uploadRoutes);
+
+// Uploaded media, when stored on the local disk
+const mediaHandler = storage.staticHandler();
+if (mediaHandler) {
+    app.use(storage.LOCAL_MEDIA_PATH, mediaHandler);
+}
+const mediaUploadHandler = storage.uploadHandler();
+if (mediaUploadHandler) {
+    app.use(storage.LOCAL_UPLOAD_PATH, mediaUploadHandler);
+}
 
 // MySQL connection
 const db = mysql.createConnection({
@@ -61,11 +79,21 @@ db.connect((err) => {
 // Initialize Socket.io
 initializeSocket(server, db);
 
+// Remove expired stories and their media periodically
+const storyPurgeIntervalMs = (parseInt(process.env.STORY_PURGE_INTERVAL_MINUTES, 10) || 60) * 60 * 1000;
+setInterval(() => {
+    purgeExpiredStories().catch((err) => console.error("Failed to purge expired stories:", err));
+}, storyPurgeIntervalMs).unref();
+
 // Sample route
 app.get("/", (req, res) => {
     res.send("Welcome to the Social Media API");
 });
 
+// Error handling
+app.use(notFoundHandler);
+app.use(errorHandler);
+
 // Start the server
 server.listen(port, () => {
     console.log(`Server running on port ${port}`);
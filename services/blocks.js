@@ -0,0 +1,85 @@
+const db = require("../db");
+const { AppError } = require("../utils/errors");
+
+// SQL condition that is true when `column` holds a user who neither blocked nor was blocked by
+// the viewer. Pass the viewer's id twice in the query values where it appears.
+const notBlockedWith = (column) =>
+    `${column} NOT IN (SELECT blocked_id FROM user_blocks WHERE blocker_id = ? UNION SELECT blocker_id FROM user_blocks WHERE blocked_id = ?)`;
+
+// True when either user has blocked the other
+const isBlockedBetween = async (userId, otherUserId) => {
+    const [rows] = await db
+        .promise()
+        .query("SELECT 1 FROM user_blocks WHERE (blocker_id = ? AND blocked_id = ?) OR (blocker_id = ? AND blocked_id = ?) LIMIT 1", [
+            userId,
+            otherUserId,
+            otherUserId,
+            userId,
+        ]);
+    return rows.length > 0;
+};
+
+// Ids of every user blocked by or blocking `userId`
+const blockedUserIds = async (userId) => {
+    const [rows] = await db
+        .promise()
+        .query("SELECT blocked_id AS id FROM user_blocks WHERE blocker_id = ? UNION SELECT blocker_id FROM user_blocks WHERE blocked_id = ?", [
+            userId,
+            userId,
+        ]);
+    return new Set(rows.map((row) => row.id));
+};
+
+// Block a user. Follows, pending follow requests, notifications and search history between the
+// two are removed in both directions so neither shows up for the other.
+const blockUser = async (blockerId, blockedId) => {
+    if (blockerId === blockedId) {
+        throw new AppError(400, "You cannot block yourself.");
+    }
+
+    const [users] = await db.promise().query("SELECT id FROM users WHERE id = ?", [blockedId]);
+    if (users.length === 0) {
+        throw new AppError(404, "User not found");
+    }
+
+    const connection = await db.promise().getConnection();
+    const betweenPair = (first, second) => `((${first} = ? AND ${second} = ?) OR (${first} = ? AND ${second} = ?))`;
+    const pair = [blockerId, blockedId, blockedId, blockerId];
+
+    try {
+        await connection.beginTransaction();
+
+        await connection.query("INSERT IGNORE INTO user_blocks (blocker_id, blocked_id) VALUES (?, ?)", [blockerId, blockedId]);
+        await connection.query(`DELETE FROM followers WHERE ${betweenPair("follower_id", "following_id")}`, pair);
+        await connection.query(`DELETE FROM notifications WHERE ${betweenPair("user_id", "sender_id")}`, pair);
+        await connection.query(`DELETE FROM follow_requests WHERE status = 'pending' AND ${betweenPair("follower_id", "following_id")}`, pair);
+        await connection.query(`DELETE FROM search_history WHERE ${betweenPair("user_id", "target_user_id")}`, pair);
+
+        await connection.commit();
+    } catch (err) {
+        await connection.rollback();
+        throw err;
+    } finally {
+        connection.release();
+    }
+};
+
+// Returns false when the user wasn't blocked
+const unblockUser = async (blockerId, blockedId) => {
+    const [result] = await db.promise().query("DELETE FROM user_blocks WHERE blocker_id = ? AND blocked_id = ?", [blockerId, blockedId]);
+    return result.affectedRows > 0;
+};
+
+const listBlockedUsers = async (blockerId) => {
+    const [rows] = await db.promise().query(
+        `SELECT u.id, u.username, u.profile_picture, b.created_at AS blocked_at
+         FROM user_blocks b
+         INNER JOIN users u ON u.id = b.blocked_id
+         WHERE b.blocker_id = ?
+         ORDER BY b.created_at DESC`,
+        [blockerId]
+    );
+    return rows;
+};
+
+module.exports = { notBlockedWith, isBlockedBetween, blockedUserIds, blockUser, unblockUser, listBlockedUsers };
@@ -0,0 +1,229 @@
+const db = require("../db");
+const { AppError } = require("../utils/errors");
+const { getTimeAgo } = require("../utils/utils");
+const { encodeTimeCursor, encodeRankedCursor } = require("../utils/pagination");
+const { notBlockedWith, isBlockedBetween } = require("./blocks");
+
+// Post authors can pin this many comments above the rest
+const MAX_PINNED_COMMENTS = 3;
+
+// Pinned comments first, in the order they were pinned, then newest first. Expects comments aliased as `c`.
+const COMMENT_ORDER = "c.pinned_at IS NULL, c.pinned_at, c.created_at DESC, c.id DESC";
+
+// Columns returned for each comment. Expects comments aliased as `c` joined to their author as `u`.
+const COMMENT_COLUMNS = `c.id, c.post_id, c.user_id, c.content, c.parent_comment_id, c.created_at, c.updated_at, c.is_edited, c.edited_at, c.pinned_at,
+       u.username AS commenter_username, u.profile_picture AS commenter_profile_picture`;
+
+// Add like_count and liked_by_current_user to each comment
+const attachCommentLikes = async (comments, viewerId) => {
+    if (comments.length === 0) {
+        return comments;
+    }
+
+    const commentIds = comments.map((comment) => comment.id);
+
+    const [[countsResult], [likedResult]] = await Promise.all([
+        db.promise().query(`SELECT comment_id, COUNT(*) AS like_count FROM comment_likes WHERE comment_id IN (?) GROUP BY comment_id`, [commentIds]),
+        db.promise().query(`SELECT comment_id FROM comment_likes WHERE user_id = ? AND comment_id IN (?)`, [viewerId, commentIds]),
+    ]);
+
+    const likeCounts = new Map(countsResult.map((row) => [row.comment_id, row.like_count]));
+    const likedByViewer = new Set(likedResult.map((row) => row.comment_id));
+
+    comments.forEach((comment) => {
+        comment.like_count = likeCounts.get(comment.id) || 0;
+        comment.liked_by_current_user = likedByViewer.has(comment.id) ? 1 : 0;
+    });
+
+    return comments;
+};
+
+// Add reply_count to each comment, not counting replies by users blocked with the viewer
+const attachReplyCounts = async (comments, viewerId) => {
+    if (comments.length === 0) {
+        return comments;
+    }
+
+    const [rows] = await db.promise().query(
+        `SELECT parent_comment_id, COUNT(*) AS reply_count
+         FROM comments c
+         WHERE parent_comment_id IN (?) AND ${notBlockedWith("c.user_id")}
+         GROUP BY parent_comment_id`,
+        [comments.map((comment) => comment.id), viewerId, viewerId]
+    );
+
+    const replyCounts = new Map(rows.map((row) => [row.parent_comment_id, row.reply_count]));
+    comments.forEach((comment) => {
+        comment.reply_count = replyCounts.get(comment.id) || 0;
+    });
+
+    return comments;
+};
+
+const attachCommentDetails = async (comments, viewerId) => {
+    comments.forEach((comment) => {
+        comment.timeAgo = getTimeAgo(new Date(comment.created_at));
+    });
+    await Promise.all([attachCommentLikes(comments, viewerId), attachReplyCounts(comments, viewerId)]);
+    return comments;
+};
+
+// The post's id and author if the viewer may see it: their own, a public account's or one they
+// follow, and not blocked with them. Anything else is reported as not found.
+const findVisiblePost = async (viewerId, postId) => {
+    const [posts] = await db.promise().query(
+        `SELECT p.id, p.user_id
+         FROM posts p
+         INNER JOIN users u ON u.id = p.user_id
+         WHERE p.id = ?
+         AND (u.is_private = 0 OR p.user_id = ? OR p.user_id IN (SELECT following_id FROM followers WHERE follower_id = ?))
+         AND ${notBlockedWith("p.user_id")}`,
+        [postId, viewerId, viewerId, viewerId, viewerId]
+    );
+
+    if (posts.length === 0) {
+        throw new AppError(404, "Post not found.");
+    }
+    return posts[0];
+};
+
+// Top-level comments of a post in COMMENT_ORDER, each with its reply_count. Pinning moves
+// comments around, so pages are addressed by offset like the ranked feed; comments added after
+// the first page are left out so the offsets stay valid. `cursor` is a decoded ranked cursor or null.
+const getPostComments = async ({ viewerId, postId, cursor = null, limit }) => {
+    await findVisiblePost(viewerId, postId);
+
+    const offset = cursor ? cursor.offset : 0;
+    const rankedAt = cursor ? cursor.rankedAt : new Date();
+
+    const [rows] = await db.promise().query(
+        `SELECT ${COMMENT_COLUMNS}
+         FROM comments c
+         INNER JOIN users u ON c.user_id = u.id
+         WHERE c.post_id = ? AND c.parent_comment_id IS NULL
+         AND ${notBlockedWith("c.user_id")}
+         AND c.created_at <= ?
+         ORDER BY ${COMMENT_ORDER}
+         LIMIT ? OFFSET ?`,
+        [postId, viewerId, viewerId, rankedAt, limit + 1, offset]
+    );
+
+    const comments = rows.slice(0, limit);
+    const nextCursor = rows.length > limit ? encodeRankedCursor(offset + limit, rankedAt) : null;
+
+    await attachCommentDetails(comments, viewerId);
+
+    return { comments, nextCursor };
+};
+
+// Replies to a top-level comment, oldest first so a thread reads top to bottom. `cursor` is a
+// decoded { createdAt, id } of the last reply on the previous page, or null.
+const getCommentReplies = async ({ viewerId, commentId, cursor = null, limit }) => {
+    const [parents] = await db.promise().query("SELECT post_id, user_id FROM comments WHERE id = ? AND parent_comment_id IS NULL", [commentId]);
+
+    const parent = parents[0];
+    if (!parent || (await isBlockedBetween(viewerId, parent.user_id))) {
+        throw new AppError(404, "Comment not found.");
+    }
+    await findVisiblePost(viewerId, parent.post_id);
+
+    const cursorCondition = cursor ? "AND (c.created_at > ? OR (c.created_at = ? AND c.id > ?))" : "";
+    const cursorValues = cursor ? [cursor.createdAt, cursor.createdAt, cursor.id] : [];
+
+    const [rows] = await db.promise().query(
+        `SELECT ${COMMENT_COLUMNS}
+         FROM comments c
+         INNER JOIN users u ON c.user_id = u.id
+         WHERE c.parent_comment_id = ?
+         AND ${notBlockedWith("c.user_id")} ${cursorCondition}
+         ORDER BY c.created_at, c.id
+         LIMIT ?`,
+        [commentId, viewerId, viewerId, ...cursorValues, limit + 1]
+    );
+
+    const replies = rows.slice(0, limit);
+    const nextCursor = rows.length > limit ? encodeTimeCursor(replies[replies.length - 1]) : null;
+
+    await attachCommentDetails(replies, viewerId);
+
+    return { replies, nextCursor };
+};
+
+// Where a new reply to `commentId` goes. Replies are one level deep, so replying to a reply adds
+// to the same thread; the author of the comment actually replied to is the one to notify.
+// Returns { parentCommentId, repliedToUserId }.
+const findReplyTarget = async ({ userId, postId, commentId }) => {
+    const [comments] = await db.promise().query("SELECT id, post_id, user_id, parent_comment_id FROM comments WHERE id = ?", [commentId]);
+
+    const comment = comments[0];
+    if (!comment || comment.post_id !== postId || (await isBlockedBetween(userId, comment.user_id))) {
+        throw new AppError(404, "Comment not found.");
+    }
+
+    return { parentCommentId: comment.parent_comment_id || comment.id, repliedToUserId: comment.user_id };
+};
+
+// Pin or unpin a comment on one of the user's posts. The post row is locked while pinning so
+// concurrent requests cannot go over MAX_PINNED_COMMENTS.
+const setCommentPinned = async ({ userId, commentId, pinned }) => {
+    const connection = await db.promise().getConnection();
+
+    try {
+        await connection.beginTransaction();
+
+        const [comments] = await connection.query(
+            `SELECT c.post_id, c.parent_comment_id, c.pinned_at, p.user_id AS post_author_id
+             FROM comments c
+             INNER JOIN posts p ON p.id = c.post_id
+             WHERE c.id = ?
+             FOR UPDATE`,
+            [commentId]
+        );
+
+        const comment = comments[0];
+        if (!comment) {
+            throw new AppError(404, "Comment not found.");
+        }
+
+        if (comment.post_author_id !== userId) {
+            throw new AppError(403, "Only the post author can pin comments.");
+        }
+
+        if (pinned && !comment.pinned_at) {
+            if (comment.parent_comment_id) {
+                throw new AppError(400, "Replies cannot be pinned.");
+            }
+
+            const [[{ pinned_count: pinnedCount }]] = await connection.query(
+                "SELECT COUNT(*) AS pinned_count FROM comments WHERE post_id = ? AND pinned_at IS NOT NULL",
+                [comment.post_id]
+            );
+            if (pinnedCount >= MAX_PINNED_COMMENTS) {
+                throw new AppError(409, `A post can have at most ${MAX_PINNED_COMMENTS} pinned comments.`, { code: "PIN_LIMIT_REACHED" });
+            }
+
+            await connection.query("UPDATE comments SET pinned_at = NOW() WHERE id = ?", [commentId]);
+        } else if (!pinned && comment.pinned_at) {
+            await connection.query("UPDATE comments SET pinned_at = NULL WHERE id = ?", [commentId]);
+        }
+
+        await connection.commit();
+        return { postId: comment.post_id };
+    } catch (err) {
+        await connection.rollback();
+        throw err;
+    } finally {
+        connection.release();
+    }
+};
+
+module.exports = {
+    MAX_PINNED_COMMENTS,
+    COMMENT_ORDER,
+    attachCommentLikes,
+    attachReplyCounts,
+    getPostComments,
+    getCommentReplies,
+    findReplyTarget,
+    setCommentPinned,
+};
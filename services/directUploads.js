@@ -0,0 +1,130 @@
+const crypto = require("crypto");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const db = require("../db");
+const storage = require("../utils/storage");
+const { AppError } = require("../utils/errors");
+
+// Clients upload straight to storage with a presigned URL, then call a finalize endpoint that
+// checks the object and creates the post, story or message attachment from it.
+
+const UPLOAD_URL_TTL_SECONDS = 15 * 60;
+// A finalize call may come a little after the URL itself has expired
+const FINALIZE_GRACE_SECONDS = 60 * 60;
+
+const IMAGE_TYPES = ["image/jpeg", "image/png", "image/webp", "image/gif", "image/heic", "image/heif"];
+const VIDEO_TYPES = ["video/mp4", "video/quicktime", "video/webm"];
+
+// Each user's uploads go under their own prefix, and every key gets a random part, so two uploads
+// can never be issued the same key
+const uploadPrefix = (userId) => `incoming/${userId}/`;
+
+const maxImageBytes = () => (parseInt(process.env.MAX_IMAGE_UPLOAD_MB, 10) || 20) * 1024 * 1024;
+const maxVideoBytes = () => (parseInt(process.env.MAX_VIDEO_UPLOAD_MB, 10) || 500) * 1024 * 1024;
+
+// Largest allowed size in bytes for a content type, or null if the type isn't accepted
+const maxUploadSize = (contentType) => {
+    if (IMAGE_TYPES.includes(contentType)) return maxImageBytes();
+    if (VIDEO_TYPES.includes(contentType)) return maxVideoBytes();
+    return null;
+};
+
+const createUpload = async ({ userId, purpose, fileName, contentType, size }) => {
+    const maxSize = maxUploadSize(contentType);
+    if (maxSize === null) {
+        throw new AppError(400, `Unsupported file type: ${contentType}`, { code: "UNSUPPORTED_MEDIA_TYPE" });
+    }
+    if (size > maxSize) {
+        throw new AppError(413, `File is too large. The limit for ${contentType} is ${Math.floor(maxSize / (1024 * 1024))} MB.`);
+    }
+
+    const key = storage.buildKey(uploadPrefix(userId), `${crypto.randomBytes(8).toString("hex")}_${fileName}`);
+    const upload = await storage.createUploadUrl(key, { contentType, contentLength: size, expiresInSeconds: UPLOAD_URL_TTL_SECONDS });
+
+    const [result] = await db.promise().query(
+        `INSERT INTO media_uploads (user_id, purpose, storage_key, file_name, content_type, size_bytes, expires_at)
+         VALUES (?, ?, ?, ?, ?, ?, DATE_ADD(NOW(), INTERVAL ? SECOND))`,
+        [userId, purpose, key, fileName, contentType, size, UPLOAD_URL_TTL_SECONDS + FINALIZE_GRACE_SECONDS]
+    );
+
+    return {
+        uploadId: result.insertId,
+        ...upload,
+        expiresAt: new Date(Date.now() + UPLOAD_URL_TTL_SECONDS * 1000).toISOString(),
+        maxSize,
+    };
+};
+
+// Check that each upload belongs to the user, was issued for `purpose` and now holds exactly
+// the declared file, then mark them finalized so they can't be used twice. Returns the upload
+// rows in the order of `uploadIds`.
+const claimUploads = async (userId, uploadIds, purpose) => {
+    const [rows] = await db.promise().query(
+        `SELECT id, storage_key, file_name, content_type, size_bytes
+         FROM media_uploads
+         WHERE id IN (?) AND user_id = ? AND purpose = ? AND status = 'pending' AND expires_at > NOW()`,
+        [uploadIds, userId, purpose]
+    );
+
+    const uploadsById = new Map(rows.map((row) => [row.id, row]));
+    const uploads = uploadIds.map((id) => uploadsById.get(id));
+    if (new Set(uploadIds).size !== uploadIds.length || uploads.some((upload) => !upload)) {
+        throw new AppError(404, "Upload not found, already used or expired.", { code: "UPLOAD_NOT_FOUND" });
+    }
+
+    for (const upload of uploads) {
+        const object = await storage.stat(upload.storage_key);
+        if (!object) {
+            throw new AppError(409, `File "${upload.file_name}" hasn't been uploaded yet.`, { code: "UPLOAD_INCOMPLETE" });
+        }
+        if (object.size !== Number(upload.size_bytes) || (object.contentType && object.contentType !== upload.content_type)) {
+            throw new AppError(400, `File "${upload.file_name}" doesn't match the declared type or size.`, { code: "UPLOAD_MISMATCH" });
+        }
+    }
+
+    const [result] = await db
+        .promise()
+        .query(`UPDATE media_uploads SET status = 'finalized', finalized_at = NOW() WHERE id IN (?) AND status = 'pending'`, [uploadIds]);
+    if (result.affectedRows !== uploadIds.length) {
+        throw new AppError(409, "Upload is already being finalized.", { code: "UPLOAD_NOT_FOUND" });
+    }
+
+    return uploads;
+};
+
+// Put claimed uploads back so the client can retry, e.g. after processing failed
+const releaseUploads = async (uploadIds) => {
+    try {
+        await db.promise().query(`UPDATE media_uploads SET status = 'pending', finalized_at = NULL WHERE id IN (?)`, [uploadIds]);
+    } catch (err) {
+        console.error("Failed to release uploads:", err);
+    }
+};
+
+// Delete the original uploads once processed copies have been stored. Failures are only logged;
+// the reconciliation job removes anything left behind.
+const discardUploads = async (uploads) => {
+    const results = await Promise.allSettled(uploads.map((upload) => storage.delete(upload.storage_key)));
+    results.forEach((result, index) => {
+        if (result.status === "rejected") {
+            console.error(`Failed to delete upload ${uploads[index].storage_key}:`, result.reason);
+        }
+    });
+};
+
+// Copy an upload to a temporary file, call `handler(filePath)` and clean up afterwards.
+// Processing from disk keeps large files out of memory.
+const withDownloadedUpload = async (upload, handler) => {
+    const workDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), "upload-"));
+    const filePath = path.join(workDir, "input");
+
+    try {
+        await storage.download(upload.storage_key, filePath);
+        return await handler(filePath);
+    } finally {
+        await fs.promises.rm(workDir, { recursive: true, force: true });
+    }
+};
+
+module.exports = { IMAGE_TYPES, VIDEO_TYPES, maxUploadSize, createUpload, claimUploads, releaseUploads, discardUploads, withDownloadedUpload };
@@ -0,0 +1,81 @@
+// Scoring for the ranked ("For You") home feed.
+//
+// scorePost() is a pure function of a post's signals, the weights and the current time, so it
+// can be tuned and tested without a database. The feed service gathers the signals.
+
+const DEFAULT_WEIGHTS = {
+    // Every post starts from this, so a new post with no engagement still ranks by recency
+    base: 1,
+    // Likes and comments per hour over the last `velocityWindowHours`
+    likeVelocity: 2,
+    commentVelocity: 3,
+    // The viewer's recent likes, comments and saves on the author's posts
+    authorAffinity: 1.5,
+    // How many users saved the post
+    saves: 1,
+    // Score halves every `halfLifeHours`
+    halfLifeHours: 24,
+    velocityWindowHours: 24,
+    // Multiplier for posts from public accounts the viewer doesn't follow
+    discovery: 0.6,
+};
+
+// FEED_RANKING_WEIGHTS can override any of the defaults, e.g. {"commentVelocity": 4, "discovery": 0}
+const loadWeights = (overrides = process.env.FEED_RANKING_WEIGHTS) => {
+    if (!overrides) {
+        return { ...DEFAULT_WEIGHTS };
+    }
+
+    let parsed = overrides;
+    if (typeof overrides === "string") {
+        try {
+            parsed = JSON.parse(overrides);
+        } catch (err) {
+            throw new Error(`FEED_RANKING_WEIGHTS is not valid JSON: ${err.message}`);
+        }
+    }
+    if (!parsed || typeof parsed !== "object" || Array.isArray(parsed)) {
+        throw new Error("FEED_RANKING_WEIGHTS must be a JSON object of weights");
+    }
+
+    const weights = { ...DEFAULT_WEIGHTS };
+
+    for (const [name, value] of Object.entries(parsed)) {
+        if (!(name in DEFAULT_WEIGHTS) || typeof value !== "number" || !Number.isFinite(value) || value < 0) {
+            throw new Error(`Invalid feed ranking weight "${name}"`);
+        }
+        weights[name] = value;
+    }
+    return weights;
+};
+
+// signals: { createdAt, recentLikes, recentComments, authorAffinity, saves, followed }
+const scorePost = (signals, weights = DEFAULT_WEIGHTS, now = new Date()) => {
+    const ageHours = Math.max(0, (now.getTime() - new Date(signals.createdAt).getTime()) / 3600000);
+
+    // A post younger than the window has had less time to collect engagement
+    const velocityHours = Math.max(1, Math.min(ageHours, weights.velocityWindowHours));
+    const likeVelocity = (signals.recentLikes || 0) / velocityHours;
+    const commentVelocity = (signals.recentComments || 0) / velocityHours;
+
+    // log1p keeps one very popular post or author from drowning out everything else
+    const engagement =
+        weights.base +
+        weights.likeVelocity * Math.log1p(likeVelocity) +
+        weights.commentVelocity * Math.log1p(commentVelocity) +
+        weights.authorAffinity * Math.log1p(signals.authorAffinity || 0) +
+        weights.saves * Math.log1p(signals.saves || 0);
+
+    const decay = weights.halfLifeHours > 0 ? 0.5 ** (ageHours / weights.halfLifeHours) : 1;
+    const discovery = signals.followed ? 1 : weights.discovery;
+
+    return engagement * decay * discovery;
+};
+
+// Highest score first; ties go to the newer post
+const rankPosts = (candidates, weights = DEFAULT_WEIGHTS, now = new Date()) =>
+    candidates
+        .map((candidate) => ({ ...candidate, score: scorePost(candidate.signals, weights, now) }))
+        .sort((a, b) => b.score - a.score || new Date(b.signals.createdAt) - new Date(a.signals.createdAt) || b.post.id - a.post.id);
+
+module.exports = { DEFAULT_WEIGHTS, loadWeights, scorePost, rankPosts };
@@ -0,0 +1,379 @@
+const db = require("../db");
+const { getTimeAgo } = require("../utils/utils");
+const { encodeTimeCursor, encodeRankedCursor } = require("../utils/pagination");
+const { loadWeights, rankPosts } = require("./feedRanking");
+const { attachMedia } = require("./postMedia");
+const { COMMENT_ORDER, attachCommentLikes, attachReplyCounts } = require("./comments");
+const { notBlockedWith } = require("./blocks");
+
+// Top-level comments sent with each post in the feed (pinned ones first); the rest, and replies,
+// are loaded on demand
+const COMMENT_PREVIEW_COUNT = 3;
+
+// Ranked feed candidates: recent posts from the follow graph plus a few popular public ones
+const RANKED_WINDOW_DAYS = 7;
+const RANKED_FOLLOWED_CANDIDATES = 200;
+const RANKED_DISCOVERY_CANDIDATES = 20;
+const AFFINITY_WINDOW_DAYS = 30;
+
+// Explore ranks posts by likes and comments received in the last few days
+const EXPLORE_ENGAGEMENT_DAYS = 7;
+const EXPLORE_MAX_AGE_DAYS = 30;
+const EXPLORE_COMMENT_WEIGHT = 2;
+
+// Read when the module loads, so a bad FEED_RANKING_WEIGHTS stops the server at boot rather than
+// failing every ranked feed request
+const RANKING_WEIGHTS = loadWeights();
+
+// Add media, like/comment counts, the viewer's like and save state and a comment preview (with
+// comment likes and reply counts) to a page of posts. Comments by users blocked with the viewer are left out.
+// comment_count counts top-level comments, like the preview; replies are counted per comment.
+// Every query is bounded by the ids on the page.
+const attachEngagement = async (posts, viewerId) => {
+    if (posts.length === 0) {
+        return posts;
+    }
+
+    const postIds = posts.map((post) => post.id);
+    const commentCountsQuery = `
+        SELECT post_id, COUNT(*) AS comment_count
+        FROM comments c
+        WHERE post_id IN (?) AND parent_comment_id IS NULL AND ${notBlockedWith("c.user_id")}
+        GROUP BY post_id
+    `;
+
+    const [, [likesResult], [likedResult], [savedResult], [commentCountsResult], [commentsResult]] = await Promise.all([
+        attachMedia(posts),
+        db.promise().query(`SELECT post_id, COUNT(*) AS like_count FROM likes WHERE post_id IN (?) GROUP BY post_id`, [postIds]),
+        db.promise().query(`SELECT post_id FROM likes WHERE user_id = ? AND post_id IN (?)`, [viewerId, postIds]),
+        db.promise().query(`SELECT post_id FROM saved_posts WHERE user_id = ? AND post_id IN (?)`, [viewerId, postIds]),
+        db.promise().query(commentCountsQuery, [postIds, viewerId, viewerId]),
+        db.promise().query(
+            `
+            SELECT id, post_id, user_id, content, parent_comment_id, created_at, updated_at, is_edited, edited_at, pinned_at,
+                   commenter_username, commenter_profile_picture
+            FROM (
+                SELECT c.id, c.post_id, c.user_id, c.content, c.parent_comment_id, c.created_at, c.updated_at, c.is_edited, c.edited_at, c.pinned_at,
+                       u.username AS commenter_username, u.profile_picture AS commenter_profile_picture,
+                       ROW_NUMBER() OVER (PARTITION BY c.post_id ORDER BY ${COMMENT_ORDER}) AS row_num
+                FROM comments c
+                INNER JOIN users u ON c.user_id = u.id
+                WHERE c.post_id IN (?) AND c.parent_comment_id IS NULL
+                AND ${notBlockedWith("c.user_id")}
+            ) ranked
+            WHERE row_num <= ?
+            ORDER BY post_id, row_num
+        `,
+            [postIds, viewerId, viewerId, COMMENT_PREVIEW_COUNT]
+        ),
+    ]);
+
+    const likeCounts = new Map(likesResult.map((row) => [row.post_id, row.like_count]));
+    const commentCounts = new Map(commentCountsResult.map((row) => [row.post_id, row.comment_count]));
+    const likedByViewer = new Set(likedResult.map((row) => row.post_id));
+    const savedByViewer = new Set(savedResult.map((row) => row.post_id));
+
+    const commentsByPostId = commentsResult.reduce((acc, comment) => {
+        if (!acc[comment.post_id]) {
+            acc[comment.post_id] = [];
+        }
+        comment.timeAgo = getTimeAgo(new Date(comment.created_at));
+        acc[comment.post_id].push(comment);
+        return acc;
+    }, {});
+    await Promise.all([attachCommentLikes(commentsResult, viewerId), attachReplyCounts(commentsResult, viewerId)]);
+
+    posts.forEach((post) => {
+        post.timeAgo = getTimeAgo(new Date(post.created_at));
+        post.like_count = likeCounts.get(post.id) || 0;
+        post.liked_by_current_user = likedByViewer.has(post.id) ? 1 : 0;
+        post.saved_by_current_user = savedByViewer.has(post.id) ? 1 : 0;
+        post.comment_count = commentCounts.get(post.id) || 0;
+        post.comments = commentsByPostId[post.id] || [];
+    });
+
+    return posts;
+};
+
+// Reverse-chronological posts from the viewer and the accounts they follow. Blocking removes
+// follows, so blocked users' posts can't show up here.
+// `cursor` is a decoded { createdAt, id } from the previous page, or null for the first page.
+const getHomeFeed = async ({ viewerId, cursor = null, limit }) => {
+    const cursorCondition = cursor ? "AND (p.created_at < ? OR (p.created_at = ? AND p.id < ?))" : "";
+    const cursorValues = cursor ? [cursor.createdAt, cursor.createdAt, cursor.id] : [];
+
+    // The follow check is a subquery rather than a join so each post is returned once
+    const postsQuery = `
+        SELECT u.username, u.profile_picture, p.*
+        FROM posts p
+        INNER JOIN users u ON p.user_id = u.id
+        WHERE (
+            p.user_id = ?
+            OR p.user_id IN (SELECT following_id FROM followers WHERE follower_id = ?)
+        ) ${cursorCondition}
+        ORDER BY p.created_at DESC, p.id DESC
+        LIMIT ?
+    `;
+
+    // Fetch one extra row to know whether there is another page
+    const [rows] = await db.promise().query(postsQuery, [viewerId, viewerId, ...cursorValues, limit + 1]);
+    const posts = rows.slice(0, limit);
+    const nextCursor = rows.length > limit ? encodeTimeCursor(posts[posts.length - 1]) : null;
+
+    await attachEngagement(posts, viewerId);
+
+    return { posts, nextCursor };
+};
+
+// Newest posts tagged with `tag` that the viewer may see: public accounts, accounts they follow
+// and their own. Paged like the home feed. `postCount` counts the same posts, so it doesn't
+// reveal hidden ones.
+const getTagFeed = async ({ viewerId, tag, cursor = null, limit }) => {
+    const cursorCondition = cursor ? "AND (p.created_at < ? OR (p.created_at = ? AND p.id < ?))" : "";
+    const cursorValues = cursor ? [cursor.createdAt, cursor.createdAt, cursor.id] : [];
+
+    const visibleTaggedPosts = `
+        FROM hashtags h
+        INNER JOIN post_hashtags ph ON ph.hashtag_id = h.id
+        INNER JOIN posts p ON p.id = ph.post_id
+        INNER JOIN users u ON p.user_id = u.id
+        WHERE h.tag = ?
+        AND (
+            u.is_private = 0
+            OR p.user_id = ?
+            OR p.user_id IN (SELECT following_id FROM followers WHERE follower_id = ?)
+        )
+        AND ${notBlockedWith("p.user_id")}
+    `;
+    const visibleValues = [tag, viewerId, viewerId, viewerId, viewerId];
+
+    const postsQuery = `
+        SELECT u.username, u.profile_picture, p.*
+        ${visibleTaggedPosts} ${cursorCondition}
+        ORDER BY p.created_at DESC, p.id DESC
+        LIMIT ?
+    `;
+
+    const countQuery = `SELECT COUNT(*) AS post_count ${visibleTaggedPosts}`;
+
+    // Fetch one extra row to know whether there is another page
+    const [[rows], [countResult]] = await Promise.all([
+        db.promise().query(postsQuery, [...visibleValues, ...cursorValues, limit + 1]),
+        db.promise().query(countQuery, visibleValues),
+    ]);
+    const posts = rows.slice(0, limit);
+    const nextCursor = rows.length > limit ? encodeTimeCursor(posts[posts.length - 1]) : null;
+
+    await attachEngagement(posts, viewerId);
+
+    return { postCount: countResult[0].post_count, posts, nextCursor };
+};
+
+// Collect the scoring signals for a set of candidate posts, keyed by post id. Engagement is
+// counted up to `rankedAt`, so every page of a ranking sees the same signals.
+const loadRankingSignals = async (posts, viewerId, followedIds, rankedAt) => {
+    const postIds = posts.map((post) => post.id);
+    const authorIds = [...new Set(posts.map((post) => post.user_id))];
+    const { velocityWindowHours } = RANKING_WEIGHTS;
+
+    const [[recentLikes], [recentComments], [saves], [likeAffinity], [commentAffinity], [saveAffinity]] = await Promise.all([
+        db.promise().query(
+            `SELECT post_id, COUNT(*) AS count
+             FROM likes
+             WHERE post_id IN (?) AND created_at >= ? - INTERVAL ? HOUR AND created_at <= ?
+             GROUP BY post_id`,
+            [postIds, rankedAt, velocityWindowHours, rankedAt]
+        ),
+        db.promise().query(
+            `SELECT post_id, COUNT(*) AS count
+             FROM comments
+             WHERE post_id IN (?) AND created_at >= ? - INTERVAL ? HOUR AND created_at <= ?
+             GROUP BY post_id`,
+            [postIds, rankedAt, velocityWindowHours, rankedAt]
+        ),
+        db
+            .promise()
+            .query(`SELECT post_id, COUNT(*) AS count FROM saved_posts WHERE post_id IN (?) AND created_at <= ? GROUP BY post_id`, [
+                postIds,
+                rankedAt,
+            ]),
+        db.promise().query(
+            `SELECT p.user_id, COUNT(*) AS count
+             FROM likes l
+             INNER JOIN posts p ON l.post_id = p.id
+             WHERE l.user_id = ? AND p.user_id IN (?) AND l.created_at >= ? - INTERVAL ? DAY AND l.created_at <= ?
+             GROUP BY p.user_id`,
+            [viewerId, authorIds, rankedAt, AFFINITY_WINDOW_DAYS, rankedAt]
+        ),
+        db.promise().query(
+            `SELECT p.user_id, COUNT(*) AS count
+             FROM comments c
+             INNER JOIN posts p ON c.post_id = p.id
+             WHERE c.user_id = ? AND p.user_id IN (?) AND c.created_at >= ? - INTERVAL ? DAY AND c.created_at <= ?
+             GROUP BY p.user_id`,
+            [viewerId, authorIds, rankedAt, AFFINITY_WINDOW_DAYS, rankedAt]
+        ),
+        db.promise().query(
+            `SELECT p.user_id, COUNT(*) AS count
+             FROM saved_posts sp
+             INNER JOIN posts p ON sp.post_id = p.id
+             WHERE sp.user_id = ? AND p.user_id IN (?) AND sp.created_at <= ?
+             GROUP BY p.user_id`,
+            [viewerId, authorIds, rankedAt]
+        ),
+    ]);
+
+    const toMap = (rows, key) => new Map(rows.map((row) => [row[key], row.count]));
+    const likes = toMap(recentLikes, "post_id");
+    const comments = toMap(recentComments, "post_id");
+    const saveCounts = toMap(saves, "post_id");
+
+    const affinity = new Map();
+    for (const rows of [likeAffinity, commentAffinity, saveAffinity]) {
+        rows.forEach((row) => affinity.set(row.user_id, (affinity.get(row.user_id) || 0) + row.count));
+    }
+
+    return new Map(
+        posts.map((post) => [
+            post.id,
+            {
+                createdAt: post.created_at,
+                recentLikes: likes.get(post.id) || 0,
+                recentComments: comments.get(post.id) || 0,
+                saves: saveCounts.get(post.id) || 0,
+                authorAffinity: post.user_id === viewerId ? 0 : affinity.get(post.user_id) || 0,
+                followed: post.user_id === viewerId || followedIds.has(post.user_id),
+            },
+        ])
+    );
+};
+
+// "For You" feed: recent posts from the follow graph, plus a few popular posts from public
+// accounts the viewer doesn't follow, ordered by scorePost().
+//
+// Scores move as engagement comes in, so pages are addressed by offset into the ranking; the
+// cursor carries the time the first page was ranked at so recency decay stays consistent.
+const getRankedFeed = async ({ viewerId, cursor = null, limit }) => {
+    const offset = cursor ? cursor.offset : 0;
+    const rankedAt = cursor ? cursor.rankedAt : new Date();
+
+    const [followedRows] = await db.promise().query(`SELECT following_id FROM followers WHERE follower_id = ?`, [viewerId]);
+    const followedIds = new Set(followedRows.map((row) => row.following_id));
+
+    const [[followedPosts], [discoveryPosts]] = await Promise.all([
+        db.promise().query(
+            `
+            SELECT u.username, u.profile_picture, p.*
+            FROM posts p
+            INNER JOIN users u ON p.user_id = u.id
+            WHERE (
+                p.user_id = ?
+                OR p.user_id IN (SELECT following_id FROM followers WHERE follower_id = ?)
+            )
+            AND p.created_at >= ? - INTERVAL ? DAY
+            AND p.created_at <= ?
+            ORDER BY p.created_at DESC, p.id DESC
+            LIMIT ?
+        `,
+            [viewerId, viewerId, rankedAt, RANKED_WINDOW_DAYS, rankedAt, RANKED_FOLLOWED_CANDIDATES]
+        ),
+        db.promise().query(
+            `
+            SELECT u.username, u.profile_picture, p.*
+            FROM posts p
+            INNER JOIN users u ON p.user_id = u.id
+            WHERE u.is_private = 0
+            AND p.user_id <> ?
+            AND p.user_id NOT IN (SELECT following_id FROM followers WHERE follower_id = ?)
+            AND ${notBlockedWith("p.user_id")}
+            AND p.created_at >= ? - INTERVAL ? DAY
+            AND p.created_at <= ?
+            ORDER BY (SELECT COUNT(*) FROM likes l WHERE l.post_id = p.id) + (SELECT COUNT(*) FROM comments c WHERE c.post_id = p.id) DESC,
+                p.created_at DESC, p.id DESC
+            LIMIT ?
+        `,
+            [viewerId, viewerId, viewerId, viewerId, rankedAt, RANKED_WINDOW_DAYS, rankedAt, RANKED_DISCOVERY_CANDIDATES]
+        ),
+    ]);
+
+    const candidates = [...followedPosts, ...discoveryPosts];
+    if (candidates.length === 0) {
+        return { posts: [], nextCursor: null };
+    }
+
+    const signals = await loadRankingSignals(candidates, viewerId, followedIds, rankedAt);
+    const ranked = rankPosts(
+        candidates.map((post) => ({ post, signals: signals.get(post.id) })),
+        RANKING_WEIGHTS,
+        rankedAt
+    );
+
+    const posts = ranked.slice(offset, offset + limit).map(({ post, score }) => ({ ...post, score }));
+    const nextCursor = offset + limit < ranked.length ? encodeRankedCursor(offset + limit, rankedAt) : null;
+
+    await attachEngagement(posts, viewerId);
+
+    return { posts, nextCursor };
+};
+
+// Trending posts from public accounts the viewer doesn't follow, most recent engagement first.
+// Paged by offset like the ranked feed; engagement is counted up to `rankedAt` so pages agree.
+const getExploreFeed = async ({ viewerId, cursor = null, limit }) => {
+    const offset = cursor ? cursor.offset : 0;
+    const rankedAt = cursor ? cursor.rankedAt : new Date();
+
+    const exploreQuery = `
+        SELECT u.username, u.profile_picture, p.*,
+            COALESCE(recent_likes.count, 0) + ? * COALESCE(recent_comments.count, 0) AS engagement
+        FROM posts p
+        INNER JOIN users u ON p.user_id = u.id
+        LEFT JOIN (
+            SELECT post_id, COUNT(*) AS count FROM likes
+            WHERE created_at > ? - INTERVAL ? DAY AND created_at <= ?
+            GROUP BY post_id
+        ) recent_likes ON recent_likes.post_id = p.id
+        LEFT JOIN (
+            SELECT post_id, COUNT(*) AS count FROM comments
+            WHERE created_at > ? - INTERVAL ? DAY AND created_at <= ?
+            GROUP BY post_id
+        ) recent_comments ON recent_comments.post_id = p.id
+        WHERE u.is_private = 0
+        AND p.user_id <> ?
+        AND p.user_id NOT IN (SELECT following_id FROM followers WHERE follower_id = ?)
+        AND ${notBlockedWith("p.user_id")}
+        AND p.created_at > ? - INTERVAL ? DAY
+        AND p.created_at <= ?
+        ORDER BY engagement DESC, p.created_at DESC, p.id DESC
+        LIMIT ? OFFSET ?
+    `;
+
+    const [rows] = await db
+        .promise()
+        .query(exploreQuery, [
+            EXPLORE_COMMENT_WEIGHT,
+            rankedAt,
+            EXPLORE_ENGAGEMENT_DAYS,
+            rankedAt,
+            rankedAt,
+            EXPLORE_ENGAGEMENT_DAYS,
+            rankedAt,
+            viewerId,
+            viewerId,
+            viewerId,
+            viewerId,
+            rankedAt,
+            EXPLORE_MAX_AGE_DAYS,
+            rankedAt,
+            limit + 1,
+            offset,
+        ]);
+
+    const posts = rows.slice(0, limit);
+    const nextCursor = rows.length > limit ? encodeRankedCursor(offset + limit, rankedAt) : null;
+
+    await attachEngagement(posts, viewerId);
+
+    return { posts, nextCursor };
+};
+
+module.exports = { getHomeFeed, getRankedFeed, getExploreFeed, getTagFeed, attachEngagement };
@@ -0,0 +1,143 @@
+const db = require("../db");
+const storage = require("../utils/storage");
+
+// Skip objects younger than this when reconciling: they may belong to an upload whose database
+// row hasn't been written yet
+const DEFAULT_MIN_AGE_HOURS = 24;
+const STORY_PURGE_BATCH_SIZE = 100;
+
+// Chat attachments are stored under the sender's id, so a message can only reference, and its
+// deletion only remove, files its sender uploaded
+const chatMediaPrefix = (userId) => `chat/${userId}/`;
+
+// Every stored URL a media row points at: the file itself, its poster frame and image variants
+const mediaUrlsOf = (row) => {
+    const urls = [row.file_url, row.media_url, row.thumbnail_url];
+
+    let variants = row.variants;
+    if (typeof variants === "string") {
+        try {
+            variants = JSON.parse(variants);
+        } catch (err) {
+            variants = null;
+        }
+    }
+
+    if (variants && typeof variants === "object") {
+        for (const size of Object.values(variants)) {
+            if (size && typeof size === "object") {
+                urls.push(...Object.values(size).filter((value) => typeof value === "string"));
+            }
+        }
+    }
+
+    return urls.filter(Boolean);
+};
+
+// Every stored URL of a storeMedia() result, for cleaning up media that never made it into a row
+const storedMediaUrlsOf = (media) => mediaUrlsOf({ file_url: media.fileUrl, thumbnail_url: media.thumbnailUrl, variants: media.variants });
+
+// Delete the objects behind `urls`. URLs that aren't ours (e.g. Google profile pictures) are
+// ignored, and so are keys outside `prefix` when one is given, for URLs a client could have
+// supplied. Failures are logged rather than thrown since the database change has already happened;
+// the reconciliation job picks up anything left behind.
+const deleteMedia = async (urls, { prefix = "" } = {}) => {
+    const keys = [...new Set(urls.map((url) => storage.keyFromUrl(url)).filter((key) => key && storage.isKeyUnder(key, prefix)))];
+
+    const results = await Promise.allSettled(keys.map((key) => storage.delete(key)));
+    results.forEach((result, index) => {
+        if (result.status === "rejected") {
+            console.error(`Failed to delete media ${keys[index]}:`, result.reason);
+        }
+    });
+
+    return results.filter((result) => result.status === "fulfilled").length;
+};
+
+// Remove expired stories along with their views and media. Returns the number of stories removed.
+const purgeExpiredStories = async () => {
+    let purged = 0;
+
+    for (;;) {
+        const [stories] = await db
+            .promise()
+            .query(`SELECT id, media_url, thumbnail_url, variants FROM stories WHERE expires_at IS NOT NULL AND expires_at <= NOW() LIMIT ?`, [
+                STORY_PURGE_BATCH_SIZE,
+            ]);
+        if (stories.length === 0) {
+            return purged;
+        }
+
+        const storyIds = stories.map((story) => story.id);
+        const connection = await db.promise().getConnection();
+        try {
+            await connection.beginTransaction();
+            await connection.query(`DELETE FROM story_views WHERE story_id IN (?)`, [storyIds]);
+            await connection.query(`DELETE FROM stories WHERE id IN (?)`, [storyIds]);
+            await connection.commit();
+        } catch (err) {
+            await connection.rollback();
+            throw err;
+        } finally {
+            connection.release();
+        }
+
+        await deleteMedia(stories.flatMap(mediaUrlsOf));
+        purged += stories.length;
+    }
+};
+
+// Keys of every object still referenced from the database
+const loadReferencedKeys = async () => {
+    const queries = [
+        `SELECT file_url, thumbnail_url FROM posts`,
+        `SELECT file_url, thumbnail_url, variants FROM post_media`,
+        `SELECT media_url, thumbnail_url, variants FROM stories`,
+        `SELECT file_url, variants FROM messages WHERE file_url IS NOT NULL`,
+        `SELECT profile_picture AS file_url FROM users WHERE profile_picture IS NOT NULL`,
+    ];
+
+    const keys = new Set();
+    for (const query of queries) {
+        const [rows] = await db.promise().query(query);
+        rows.forEach((row) => {
+            mediaUrlsOf(row).forEach((url) => {
+                const key = storage.keyFromUrl(url);
+                if (key) keys.add(key);
+            });
+        });
+    }
+    return keys;
+};
+
+// Find stored objects that no posts, post_media, stories, messages or users row points at, and
+// delete them unless `dryRun` is set. Returns { scanned, orphaned: [keys], deleted }.
+const reconcileStorage = async ({ dryRun = true, minAgeHours = DEFAULT_MIN_AGE_HOURS, prefix = "" } = {}) => {
+    const referenced = await loadReferencedKeys();
+    const cutoff = Date.now() - minAgeHours * 60 * 60 * 1000;
+
+    let scanned = 0;
+    const orphaned = [];
+    for await (const object of storage.list(prefix)) {
+        scanned += 1;
+        if (!referenced.has(object.key) && new Date(object.lastModified).getTime() < cutoff) {
+            orphaned.push(object.key);
+        }
+    }
+
+    let deleted = 0;
+    if (!dryRun) {
+        for (const key of orphaned) {
+            try {
+                await storage.delete(key);
+                deleted += 1;
+            } catch (err) {
+                console.error(`Failed to delete media ${key}:`, err);
+            }
+        }
+    }
+
+    return { scanned, orphaned, deleted };
+};
+
+module.exports = { chatMediaPrefix, mediaUrlsOf, storedMediaUrlsOf, deleteMedia, purgeExpiredStories, reconcileStorage };
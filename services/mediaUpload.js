@@ -0,0 +1,40 @@
+const fs = require("fs");
+const storage = require("../utils/storage");
+const { uploadImageVariants } = require("../utils/imageVariants");
+const { withProcessedVideo } = require("../utils/video");
+
+// "image" or "video" for supported uploads, null otherwise
+const mediaTypeFromMime = (mimeType) => {
+    if (mimeType.startsWith("image/")) return "image";
+    if (mimeType.startsWith("video/")) return "video";
+    return null;
+};
+
+const putFile = async (key, filePath, contentType) => {
+    const { size } = await fs.promises.stat(filePath);
+    return storage.put(key, fs.createReadStream(filePath), contentType, size);
+};
+
+// Process one uploaded image or video and store the results under `baseKey`. Videos are
+// transcoded to MP4 and get a poster frame; images are stored as resized variants.
+// `input` is a Buffer or the path of a file on disk.
+//
+// Returns { mediaType, fileUrl, thumbnailUrl, width, height, duration, variants }
+const storeMedia = async (input, contentType, baseKey) => {
+    const mediaType = mediaTypeFromMime(contentType);
+
+    if (mediaType === "video") {
+        return withProcessedVideo(input, async ({ videoPath, posterPath, width, height, duration }) => {
+            const [fileUrl, thumbnailUrl] = await Promise.all([
+                putFile(`${baseKey}.mp4`, videoPath, "video/mp4"),
+                putFile(`${baseKey}_poster.jpg`, posterPath, "image/jpeg"),
+            ]);
+            return { mediaType, fileUrl, thumbnailUrl, width, height, duration, variants: null };
+        });
+    }
+
+    const { fileUrl, width, height, variants } = await uploadImageVariants(input, contentType, baseKey, storage.put);
+    return { mediaType, fileUrl, thumbnailUrl: null, width, height, duration: null, variants };
+};
+
+module.exports = { mediaTypeFromMime, storeMedia };
@@ -0,0 +1,104 @@
+const db = require("../db");
+const { indexPostHashtags } = require("./tagging");
+
+const MAX_POST_MEDIA = 10;
+const MAX_ALT_TEXT_LENGTH = 1000;
+
+const VIDEO_EXTENSION_PATTERN = /\.(mp4|mov|m4v|webm)$/i;
+
+// Insert a post, its media items and its hashtags in one transaction.
+// media: [{ mediaType, fileUrl, width, height, duration, thumbnailUrl, variants, altText }] in display order
+const createPostWithMedia = async ({ userId, content, location, media }) => {
+    const connection = await db.promise().getConnection();
+    const cover = media[0];
+
+    try {
+        await connection.beginTransaction();
+
+        const [result] = await connection.query(
+            `INSERT INTO posts (content, file_url, location, user_id, media_width, media_height, duration_seconds, thumbnail_url)
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+            [content, cover.fileUrl, location, userId, cover.width, cover.height, cover.duration, cover.thumbnailUrl]
+        );
+        const postId = result.insertId;
+
+        await connection.query(
+            `INSERT INTO post_media (post_id, position, media_type, file_url, media_width, media_height, duration_seconds, thumbnail_url, variants, alt_text)
+             VALUES ?`,
+            [
+                media.map((item, position) => [
+                    postId,
+                    position,
+                    item.mediaType,
+                    item.fileUrl,
+                    item.width,
+                    item.height,
+                    item.duration,
+                    item.thumbnailUrl,
+                    item.variants ? JSON.stringify(item.variants) : null,
+                    item.altText || null,
+                ]),
+            ]
+        );
+
+        await indexPostHashtags(connection, postId, content);
+
+        await connection.commit();
+        return postId;
+    } catch (err) {
+        await connection.rollback();
+        throw err;
+    } finally {
+        connection.release();
+    }
+};
+
+// Add a `media` array to each post. Posts written before post_media existed fall back to
+// their single file_url.
+const attachMedia = async (posts) => {
+    if (posts.length === 0) {
+        return posts;
+    }
+
+    const [rows] = await db.promise().query(
+        `SELECT post_id, position, media_type, file_url, media_width, media_height, duration_seconds, thumbnail_url, variants, alt_text
+         FROM post_media
+         WHERE post_id IN (?)
+         ORDER BY post_id, position`,
+        [posts.map((post) => post.id)]
+    );
+
+    const mediaByPostId = rows.reduce((acc, { post_id, ...item }) => {
+        if (!acc[post_id]) {
+            acc[post_id] = [];
+        }
+        acc[post_id].push(item);
+        return acc;
+    }, {});
+
+    posts.forEach((post) => {
+        if (mediaByPostId[post.id]) {
+            post.media = mediaByPostId[post.id];
+        } else if (post.file_url) {
+            post.media = [
+                {
+                    position: 0,
+                    media_type: VIDEO_EXTENSION_PATTERN.test(post.file_url) ? "video" : "image",
+                    file_url: post.file_url,
+                    media_width: post.media_width,
+                    media_height: post.media_height,
+                    duration_seconds: post.duration_seconds,
+                    thumbnail_url: post.thumbnail_url,
+                    variants: null,
+                    alt_text: null,
+                },
+            ];
+        } else {
+            post.media = [];
+        }
+    });
+
+    return posts;
+};
+
+module.exports = { MAX_POST_MEDIA, MAX_ALT_TEXT_LENGTH, createPostWithMedia, attachMedia };
@@ -0,0 +1,197 @@
+const db = require("../db");
+const { encodeRankedCursor } = require("../utils/pagination");
+const { attachEngagement } = require("./feedService");
+const { notBlockedWith } = require("./blocks");
+
+const SEARCH_TYPES = ["users", "hashtags", "posts"];
+
+// InnoDB ignores full-text words shorter than innodb_ft_min_token_size (3 by default)
+const MIN_FULLTEXT_WORD_LENGTH = 3;
+
+// Escape LIKE wildcards so user input only matches literally
+const escapeLike = (value) => value.replace(/[\\%_]/g, (char) => `\\${char}`);
+
+// Boolean-mode query requiring every word, each as a prefix: "sunset beach" -> "+sunset* +beach*"
+const toFulltextQuery = (term) =>
+    term
+        .split(/[^\p{L}\p{N}_]+/u)
+        .filter((word) => word.length >= MIN_FULLTEXT_WORD_LENGTH)
+        .map((word) => `+${word}*`)
+        .join(" ");
+
+// Slice the extra row fetched past `limit` into a next-page cursor
+const toPage = (rows, { offset, rankedAt, limit }) => ({
+    results: rows.slice(0, limit),
+    nextCursor: rows.length > limit ? encodeRankedCursor(offset + limit, rankedAt) : null,
+});
+
+// Number of mutual followers named in "Followed by X and N others"
+const FOLLOWED_BY_PREVIEW_COUNT = 1;
+
+// "Followed by alice", "Followed by alice and 1 other", "Followed by alice and 3 others"
+const followedByText = (usernames, count) => {
+    if (usernames.length === 0) {
+        return null;
+    }
+    const others = count - usernames.length;
+    const names = usernames.join(", ");
+    return others > 0 ? `Followed by ${names} and ${others} other${others === 1 ? "" : "s"}` : `Followed by ${names}`;
+};
+
+// Add the accounts the viewer follows that follow each user ("mutual followers")
+const attachFollowedBy = async (users, viewerId) => {
+    if (users.length === 0) {
+        return users;
+    }
+
+    const [rows] = await db.promise().query(
+        `
+        SELECT user_id, follower_id, username
+        FROM (
+            SELECT f.following_id AS user_id, f.follower_id, u.username,
+                   ROW_NUMBER() OVER (PARTITION BY f.following_id ORDER BY u.username, u.id) AS row_num
+            FROM followers f
+            INNER JOIN followers mine ON mine.following_id = f.follower_id AND mine.follower_id = ?
+            INNER JOIN users u ON u.id = f.follower_id
+            WHERE f.following_id IN (?)
+        ) ranked
+        WHERE row_num <= ?
+        ORDER BY user_id, row_num
+    `,
+        [viewerId, users.map((user) => user.id), FOLLOWED_BY_PREVIEW_COUNT]
+    );
+
+    users.forEach((user) => {
+        const preview = rows.filter((row) => row.user_id === user.id);
+        user.followed_by = { users: preview.map((row) => ({ id: row.follower_id, username: row.username })), count: user.mutual_count };
+        const usernames = preview.map((row) => row.username);
+        user.followed_by_text = followedByText(usernames, user.mutual_count);
+        user.is_following = Boolean(user.is_following);
+        delete user.match_rank;
+        delete user.mutual_count;
+    });
+
+    return users;
+};
+
+// Users by username or name. Ranked by how well they match (exact username, then username
+// prefix, then name prefix, then anywhere), then by the viewer's follow graph (accounts they
+// follow, then accounts followed by more of the people they follow), then by follower count.
+// Private accounts are listed; their posts are not. Users blocked with the viewer are left out
+// and email addresses are never selected.
+const searchUsers = async ({ viewerId, term, offset, rankedAt, limit }) => {
+    const contains = `%${escapeLike(term)}%`;
+    const prefix = `${escapeLike(term)}%`;
+
+    const [rows] = await db.promise().query(
+        `
+        SELECT u.id, u.username, u.first_name, u.last_name, u.profile_picture, u.is_private,
+            CASE
+                WHEN u.username = ? THEN 0
+                WHEN u.username LIKE ? THEN 1
+                WHEN u.first_name LIKE ? OR u.last_name LIKE ? THEN 2
+                ELSE 3
+            END AS match_rank,
+            EXISTS (SELECT 1 FROM followers WHERE follower_id = ? AND following_id = u.id) AS is_following,
+            (
+                SELECT COUNT(*)
+                FROM followers f
+                INNER JOIN followers mine ON mine.following_id = f.follower_id AND mine.follower_id = ?
+                WHERE f.following_id = u.id
+            ) AS mutual_count,
+            (SELECT COUNT(*) FROM followers WHERE following_id = u.id) AS follower_count
+        FROM users u
+        WHERE (u.username LIKE ? OR CONCAT_WS(' ', u.first_name, u.last_name) LIKE ?)
+        AND ${notBlockedWith("u.id")}
+        AND u.created_at <= ?
+        ORDER BY match_rank, is_following DESC, mutual_count DESC, follower_count DESC, u.username, u.id
+        LIMIT ? OFFSET ?
+    `,
+        [term, prefix, prefix, prefix, viewerId, viewerId, contains, contains, viewerId, viewerId, rankedAt, limit + 1, offset]
+    );
+
+    const page = toPage(rows, { offset, rankedAt, limit });
+    await attachFollowedBy(page.results, viewerId);
+
+    return page;
+};
+
+// Hashtags starting with the term, exact match first, then by number of posts. Only posts the
+// viewer may see are counted, the same ones searchPosts returns; tags without any are left out.
+const searchHashtags = async ({ viewerId, term, offset, rankedAt, limit }) => {
+    const tag = term.replace(/^#/, "").toLowerCase();
+
+    const [rows] = await db.promise().query(
+        `
+        SELECT h.tag, COUNT(*) AS post_count
+        FROM hashtags h
+        INNER JOIN post_hashtags ph ON ph.hashtag_id = h.id
+        INNER JOIN posts p ON p.id = ph.post_id
+        INNER JOIN users u ON p.user_id = u.id
+        WHERE h.tag LIKE ?
+        AND h.created_at <= ?
+        AND (
+            u.is_private = 0
+            OR p.user_id = ?
+            OR p.user_id IN (SELECT following_id FROM followers WHERE follower_id = ?)
+        )
+        AND ${notBlockedWith("p.user_id")}
+        GROUP BY h.id, h.tag
+        ORDER BY h.tag = ? DESC, post_count DESC, h.tag
+        LIMIT ? OFFSET ?
+    `,
+        [`${escapeLike(tag)}%`, rankedAt, viewerId, viewerId, viewerId, viewerId, tag, limit + 1, offset]
+    );
+
+    return toPage(rows, { offset, rankedAt, limit });
+};
+
+// Posts whose caption or location contains every word of the term, by full-text relevance.
+// Only posts the viewer may see: public accounts, accounts they follow and their own, never
+// those of users blocked with the viewer.
+const searchPosts = async ({ viewerId, term, offset, rankedAt, limit }) => {
+    const fulltextQuery = toFulltextQuery(term);
+    if (!fulltextQuery) {
+        return { results: [], nextCursor: null };
+    }
+
+    const [rows] = await db.promise().query(
+        `
+        SELECT u.username, u.profile_picture, p.*,
+            MATCH (p.content, p.location) AGAINST (? IN BOOLEAN MODE) AS relevance
+        FROM posts p
+        INNER JOIN users u ON p.user_id = u.id
+        WHERE MATCH (p.content, p.location) AGAINST (? IN BOOLEAN MODE)
+        AND (
+            u.is_private = 0
+            OR p.user_id = ?
+            OR p.user_id IN (SELECT following_id FROM followers WHERE follower_id = ?)
+        )
+        AND ${notBlockedWith("p.user_id")}
+        AND p.created_at <= ?
+        ORDER BY relevance DESC, p.created_at DESC, p.id DESC
+        LIMIT ? OFFSET ?
+    `,
+        [fulltextQuery, fulltextQuery, viewerId, viewerId, viewerId, viewerId, rankedAt, limit + 1, offset]
+    );
+
+    const page = toPage(rows, { offset, rankedAt, limit });
+    await attachEngagement(page.results, viewerId);
+
+    return page;
+};
+
+const searchers = { users: searchUsers, hashtags: searchHashtags, posts: searchPosts };
+
+// Run one typed search. `cursor` is a decoded ranked cursor from the previous page of the same
+// type, or null; rows created after the first page are left out so offsets stay stable.
+const search = ({ viewerId, type, term, cursor = null, limit }) =>
+    searchers[type]({
+        viewerId,
+        term,
+        offset: cursor ? cursor.offset : 0,
+        rankedAt: cursor ? cursor.rankedAt : new Date(),
+        limit,
+    });
+
+module.exports = { SEARCH_TYPES, search };
@@ -0,0 +1,65 @@
+const db = require("../db");
+const { parseMentions, parseHashtags } = require("../utils/textEntities");
+const { createNotification, emitUnreadNotificationCount, emitNotifications } = require("../utils/utils");
+const { blockedUserIds } = require("./blocks");
+
+// Replace the hashtags indexed for one post or comment. `queryable` is db.promise() or a
+// connection inside a transaction.
+const replaceHashtags = async (queryable, table, column, id, text) => {
+    const tags = parseHashtags(text);
+
+    await queryable.query("DELETE FROM ?? WHERE ?? = ?", [table, column, id]);
+
+    if (tags.length === 0) {
+        return tags;
+    }
+
+    await queryable.query("INSERT INTO hashtags (tag) VALUES ? ON DUPLICATE KEY UPDATE id = id", [tags.map((tag) => [tag])]);
+    const [rows] = await queryable.query("SELECT id FROM hashtags WHERE tag IN (?)", [tags]);
+    await queryable.query("INSERT INTO ?? (??, hashtag_id) VALUES ?", [table, column, rows.map((row) => [id, row.id])]);
+
+    return tags;
+};
+
+const indexPostHashtags = (queryable, postId, content) => replaceHashtags(queryable, "post_hashtags", "post_id", postId, content);
+
+const indexCommentHashtags = (queryable, commentId, content) => replaceHashtags(queryable, "comment_hashtags", "comment_id", commentId, content);
+
+// Send a "mention" notification to each user mentioned in `text`. On edits, users already
+// mentioned in `previousText` were notified before and are skipped. Returns the mentioned users
+// that exist as [{ id, username }]; users blocked with the sender are neither notified nor
+// returned. Best effort: failures are logged, not thrown, so they never fail the post or comment
+// that was just saved.
+const notifyMentions = async ({ senderId, text, previousText = "", postId, commentId = null, skipUserIds = [] }) => {
+    const usernames = parseMentions(text);
+    if (usernames.length === 0) {
+        return [];
+    }
+
+    try {
+        const [rows] = await db.promise().query("SELECT id, username FROM users WHERE username IN (?)", [usernames]);
+        const blocked = await blockedUserIds(senderId);
+        const users = rows.filter((user) => !blocked.has(user.id));
+
+        const alreadyMentioned = new Set(parseMentions(previousText).map((username) => username.toLowerCase()));
+        const skipped = new Set([senderId, ...skipUserIds]);
+        const message = commentId ? `mentioned you in a comment: "${text}"` : "mentioned you in a post.";
+
+        for (const user of users) {
+            if (skipped.has(user.id) || alreadyMentioned.has(user.username.toLowerCase())) {
+                continue;
+            }
+
+            await createNotification(user.id, senderId, "mention", message, postId, commentId);
+            emitUnreadNotificationCount(user.id);
+            emitNotifications(user.id, message);
+        }
+
+        return users;
+    } catch (err) {
+        console.error("Failed to send mention notifications:", err.message);
+        return [];
+    }
+};
+
+module.exports = { indexPostHashtags, indexCommentHashtags, notifyMentions };
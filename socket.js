@@ -1,8 +1,40 @@
 const { Server } = require("socket.io");
+const { verifyAccessToken } = require("./utils/tokens");
+const { isSessionActive } = require("./utils/sessions");
+const { isVariantMapFor } = require("./utils/imageVariants");
+const { notBlockedWith, isBlockedBetween } = require("./services/blocks");
+const { chatMediaPrefix } = require("./services/mediaCleanup");
+const storage = require("./utils/storage");
+const { validatePayload } = require("./middleware/validate");
 
 let io;
 let userSockets = {};
 
+const idRule = { type: "integer", required: true, min: 1 };
+const dimensionRule = { type: "integer", min: 1 };
+
+// Payload schemas for client events, with the same rules as REST request bodies
+const eventSchemas = {
+    sendMessage: {
+        receiverId: idRule,
+        text: { type: "string", maxLength: 2200 },
+        fileUrl: { type: "string", maxLength: 2048 },
+        fileName: { type: "string", maxLength: 255 },
+        fileSize: { type: "integer", min: 0 },
+        replyTo: { type: "integer", min: 1 },
+        mediaWidth: dimensionRule,
+        mediaHeight: dimensionRule,
+        variants: { type: "object" },
+    },
+    messageRead: {
+        senderId: idRule,
+        messageIds: { type: "array", required: true, minItems: 1, maxItems: 500, items: { type: "integer", min: 1 } },
+    },
+    typing: { receiverId: idRule },
+    reaction: { messageId: idRule, reaction: { type: "string", maxLength: 32 } },
+    viewStory: { story_id: idRule },
+};
+
 function initializeSocket(server, db) {
     io = new Server(server, {
         cors: {
@@ -13,8 +45,59 @@ function initializeSocket(server, db) {
         pingTimeout: 60000,
     });
 
+    // Authenticate the handshake with the same JWT used by the REST API
+    io.use(async (socket, next) => {
+        const token = socket.handshake.auth?.token || socket.handshake.headers["authorization"]?.split(" ")[1];
+
+        if (!token) {
+            return next(new Error("Token is required to connect"));
+        }
+
+        let decoded;
+        try {
+            decoded = verifyAccessToken(token);
+        } catch (err) {
+            return next(new Error("Invalid or expired token"));
+        }
+
+        try {
+            if (!(await isSessionActive(decoded.sessionId))) {
+                return next(new Error("Session has been revoked"));
+            }
+        } catch (err) {
+            console.error("Error checking session:", err.message);
+            return next(new Error("Unable to verify session"));
+        }
+
+        socket.data.userId = decoded.userId;
+        next();
+    });
+
     io.on("connection", (socket) => {
-        socket.on("registerUser", (userId) => {
+        // Register a handler for a client event. Payloads that don't match `schema` get a
+        // "validationError" event back and never reach the handler; errors thrown by the handler
+        // are logged instead of becoming unhandled rejections.
+        const onEvent = (event, schema, handler) => {
+            socket.on(event, async (data) => {
+                let payload;
+                try {
+                    payload = validatePayload(data, schema);
+                } catch (err) {
+                    socket.emit("validationError", { event, code: err.code, message: err.message, fields: err.details.fields });
+                    return;
+                }
+
+                try {
+                    await handler(payload);
+                } catch (err) {
+                    console.error(`Error handling ${event}:`, err.message);
+                }
+            });
+        };
+
+        const registerUser = () => {
+            const { userId } = socket.data;
+
             if (userSockets[userId] !== socket.id) {
                 userSockets[userId] = socket.id;
 
@@ -52,11 +135,36 @@ function initializeSocket(server, db) {
                     }
                 );
             }
-        });
+        };
+
+        registerUser();
+
+        // Kept for older clients; the user is always the one from the handshake
+        socket.on("registerUser", registerUser);
 
         // Handle sending messages
-        socket.on("sendMessage", (data) => {
-            const { senderId, receiverId, text, tempId, fileUrl, fileName, fileSize, replyTo, mediaWidth, mediaHeight } = data;
+        onEvent("sendMessage", eventSchemas.sendMessage, async (data) => {
+            const senderId = socket.data.userId;
+            const { receiverId, text, tempId, fileUrl, fileName, fileSize, replyTo, mediaWidth, mediaHeight } = data;
+            // Only keep a variants map that matches the uploaded file
+            const variants = isVariantMapFor(data.variants, fileUrl) ? data.variants : null;
+
+            // Attachments must be files this user uploaded through /api/messages/media
+            if (fileUrl && !storage.isKeyUnder(storage.keyFromUrl(fileUrl), chatMediaPrefix(senderId))) {
+                socket.emit("messageRejected", { tempId, receiverId, message: "Attachments must be uploaded before they are sent." });
+                return;
+            }
+
+            // No messages between users where either has blocked the other
+            try {
+                if (await isBlockedBetween(senderId, receiverId)) {
+                    socket.emit("messageRejected", { tempId, receiverId, message: "You can't message this account." });
+                    return;
+                }
+            } catch (err) {
+                console.error("Error checking blocks:", err.message);
+                return;
+            }
 
             const receiverSocketId = userSockets[receiverId];
             const senderSocketId = userSockets[senderId];
@@ -66,10 +174,23 @@ function initializeSocket(server, db) {
 
             db.query(
                 `
-                    INSERT INTO messages (sender_id, receiver_id, message_text, file_url, file_name, file_size, timestamp, delivered, delivered_timestamp, reply_to, media_width, media_height) 
-                    VALUES (?, ?, ?, ?, ?, ?, NOW(), ?, ?, ?, ?, ?);
+                    INSERT INTO messages (sender_id, receiver_id, message_text, file_url, file_name, file_size, timestamp, delivered, delivered_timestamp, reply_to, media_width, media_height, variants) 
+                    VALUES (?, ?, ?, ?, ?, ?, NOW(), ?, ?, ?, ?, ?, ?);
                 `,
-                [senderId, receiverId, text, fileUrl, fileName, fileSize, delivered, deliveredTimestamp, replyTo, mediaWidth, mediaHeight],
+                [
+                    senderId,
+                    receiverId,
+                    text,
+                    fileUrl,
+                    fileName,
+                    fileSize,
+                    delivered,
+                    deliveredTimestamp,
+                    replyTo,
+                    mediaWidth,
+                    mediaHeight,
+                    variants ? JSON.stringify(variants) : null,
+                ],
                 (err, results) => {
                     if (err) {
                         console.error("Error saving message:", err.message);
@@ -105,6 +226,7 @@ function initializeSocket(server, db) {
                                     replyTo,
                                     mediaWidth,
                                     mediaHeight,
+                                    variants,
                                 });
 
                                 io.to(senderSocketId).emit("messageDelivered", {
@@ -119,24 +241,26 @@ function initializeSocket(server, db) {
             );
         });
 
-        socket.on("messageRead", (data) => {
-            const { messageIds, senderId, receiverId } = data;
+        onEvent("messageRead", eventSchemas.messageRead, async (data) => {
+            const { messageIds, senderId } = data;
+            const receiverId = socket.data.userId;
 
-            if (!messageIds || messageIds.length === 0) {
-                console.error("No message IDs provided.");
+            // No read receipts between users where either has blocked the other
+            if (await isBlockedBetween(receiverId, senderId)) {
                 return;
             }
 
             const senderSocketId = userSockets[senderId];
 
-            db.query(`UPDATE messages SET is_read = TRUE, read_timestamp = NOW() WHERE message_id IN (?)`, [messageIds], (err) => {
+            // Only messages addressed to this user can be marked as read by them
+            db.query(`UPDATE messages SET is_read = TRUE, read_timestamp = NOW() WHERE message_id IN (?) AND receiver_id = ? AND sender_id = ?`, [messageIds, receiverId, senderId], (err) => {
                 if (err) {
                     console.error("Error updating message status:", err.message);
                     return;
                 }
 
                 // Fetch updated read timestamps from the database
-                db.query(`SELECT message_id, read_timestamp FROM messages WHERE message_id IN (?)`, [messageIds], (err, results) => {
+                db.query(`SELECT message_id, read_timestamp FROM messages WHERE message_id IN (?) AND receiver_id = ? AND sender_id = ?`, [messageIds, receiverId, senderId], (err, results) => {
                     if (err) {
                         console.error("Error fetching read timestamps:", err.message);
                         return;
@@ -156,29 +280,45 @@ function initializeSocket(server, db) {
         });
 
         // Handle typing event (show typing indicator)
-        socket.on("typing", (data) => {
-            const { senderId, receiverId } = data;
+        onEvent("typing", eventSchemas.typing, async (data) => {
+            const senderId = socket.data.userId;
+            const { receiverId } = data;
             const receiverSocketId = userSockets[receiverId];
 
-            if (receiverSocketId) {
+            // No typing indicators between users where either has blocked the other
+            if (receiverSocketId && !(await isBlockedBetween(senderId, receiverId))) {
                 io.to(receiverSocketId).emit("typing", { senderId, receiverId });
             }
         });
 
-        socket.on("stopTyping", (data) => {
-            const { senderId, receiverId } = data;
+        onEvent("stopTyping", eventSchemas.typing, async (data) => {
+            const senderId = socket.data.userId;
+            const { receiverId } = data;
             const receiverSocketId = userSockets[receiverId];
 
-            if (receiverSocketId) {
+            // No typing indicators between users where either has blocked the other
+            if (receiverSocketId && !(await isBlockedBetween(senderId, receiverId))) {
                 io.to(receiverSocketId).emit("stopTyping", { senderId, receiverId });
             }
         });
 
-        socket.on("send-reaction", (data) => {
-            const { messageId, senderUserId, reaction } = data;
-
-            if (!messageId || !senderUserId) {
-                console.error("Invalid reaction data.");
+        onEvent("send-reaction", eventSchemas.reaction, async (data) => {
+            const senderUserId = socket.data.userId;
+            const { messageId } = data;
+            const reaction = data.reaction || null;
+
+            // No reactions between users where either has blocked the other
+            const [participants] = await db
+                .promise()
+                .query("SELECT sender_id, receiver_id FROM messages WHERE message_id = ? AND (sender_id = ? OR receiver_id = ?)", [
+                    messageId,
+                    senderUserId,
+                    senderUserId,
+                ]);
+            if (participants.length === 0) return;
+
+            const { sender_id, receiver_id } = participants[0];
+            if (await isBlockedBetween(senderUserId, senderUserId === sender_id ? receiver_id : sender_id)) {
                 return;
             }
 
@@ -189,22 +329,25 @@ function initializeSocket(server, db) {
                 // Remove the reaction if reaction is null
                 query = `UPDATE messages 
                  SET reactions = JSON_REMOVE(reactions, CONCAT('$."', ? , '"')) 
-                 WHERE message_id = ?`;
-                queryParams = [senderUserId, messageId];
+                 WHERE message_id = ? AND (sender_id = ? OR receiver_id = ?)`;
+                queryParams = [senderUserId, messageId, senderUserId, senderUserId];
             } else {
                 // Add or update reaction
                 query = `UPDATE messages 
                  SET reactions = JSON_SET(COALESCE(reactions, '{}'), CONCAT('$."', ? , '"'), ?) 
-                 WHERE message_id = ?`;
-                queryParams = [senderUserId, reaction, messageId];
+                 WHERE message_id = ? AND (sender_id = ? OR receiver_id = ?)`;
+                queryParams = [senderUserId, reaction, messageId, senderUserId, senderUserId];
             }
 
-            db.query(query, queryParams, (err) => {
+            db.query(query, queryParams, (err, result) => {
                 if (err) {
                     console.error("Error updating reactions:", err.message);
                     return;
                 }
 
+                // Not a participant in this conversation
+                if (result.affectedRows === 0) return;
+
                 // Fetch updated message to determine receiver
                 db.query(`SELECT receiver_id, sender_id FROM messages WHERE message_id = ?`, [messageId], (err, results) => {
                     if (err) {
@@ -229,25 +372,29 @@ function initializeSocket(server, db) {
             });
         });
 
-        socket.on("viewStory", async (data) => {
-            const { user_id, story_id } = data;
-
-            if (!user_id || !story_id) return;
+        onEvent("viewStory", eventSchemas.viewStory, async (data) => {
+            const user_id = socket.data.userId;
+            const { story_id } = data;
 
             try {
-                // Check if the user is viewing their own story
+                // Check if the user is viewing their own story. Stories of users blocked with the
+                // viewer aren't found, so no view is registered on them.
                 const checkStoryOwnerQuery = `
             SELECT user_id FROM stories 
-            WHERE id = ?
+            WHERE id = ? AND ${notBlockedWith("user_id")}
         `;
-                db.query(checkStoryOwnerQuery, [story_id], (err, result) => {
+                db.query(checkStoryOwnerQuery, [story_id, user_id, user_id], (err, result) => {
                     if (err) {
                         console.error("Error checking story owner:", err);
                         return;
                     }
 
+                    if (result.length === 0) {
+                        return;
+                    }
+
                     // If the user is the owner of the story, don't register the view
-                    if (result.length > 0 && result[0].user_id === user_id) {
+                    if (result[0].user_id === user_id) {
                         console.log(`User ${user_id} is viewing their own story ${story_id}. No view will be registered.`);
                         return;
                     }
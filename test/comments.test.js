@@ -0,0 +1,140 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { setupDatabase, teardownDatabase } = require("./fixtures/database");
+const { decodeTimeCursor, decodeRankedCursor } = require("../utils/pagination");
+
+describe("comment threads", () => {
+    let db;
+    let comments;
+    const users = {};
+    const ids = {};
+
+    const insertComment = async (name, username, createdAt, parentName = null) => {
+        const [result] = await db
+            .promise()
+            .query("INSERT INTO comments (user_id, post_id, content, parent_comment_id, created_at) VALUES (?, ?, ?, ?, ?)", [
+                users[username],
+                ids.post,
+                name,
+                parentName ? ids[parentName] : null,
+                createdAt,
+            ]);
+        ids[name] = result.insertId;
+    };
+
+    const skipWithoutDatabase = (t) => {
+        if (!db) {
+            t.skip("set TEST_DB_HOST to run against MySQL");
+        }
+        return !db;
+    };
+
+    before(async () => {
+        db = await setupDatabase();
+        if (!db) {
+            return;
+        }
+        comments = require("../services/comments");
+
+        for (const username of ["author", "viewer", "alice", "bob", "carol"]) {
+            const [result] = await db.promise().query("INSERT INTO users (username, email) VALUES (?, ?)", [username, `${username}@example.com`]);
+            users[username] = result.insertId;
+        }
+
+        const [post] = await db.promise().query("INSERT INTO posts (user_id, content) VALUES (?, ?)", [users.author, "Sunset"]);
+        ids.post = post.insertId;
+
+        await insertComment("first", "alice", "2026-01-01 10:00:00");
+        await insertComment("second", "bob", "2026-01-01 11:00:00");
+        await insertComment("third", "alice", "2026-01-01 12:00:00");
+        await insertComment("fourth", "bob", "2026-01-01 13:00:00");
+        await db.promise().query("UPDATE comments SET pinned_at = NOW() WHERE id = ?", [ids.second]);
+
+        await insertComment("reply-1", "bob", "2026-01-01 10:05:00", "first");
+        await insertComment("reply-2", "author", "2026-01-01 10:10:00", "first");
+        await insertComment("reply-3", "bob", "2026-01-01 10:10:00", "first");
+        // Carol blocked the viewer, so her reply is hidden from them
+        await insertComment("reply-blocked", "carol", "2026-01-01 10:15:00", "first");
+        await db.promise().query("INSERT INTO user_blocks (blocker_id, blocked_id) VALUES (?, ?)", [users.carol, users.viewer]);
+    });
+
+    after(teardownDatabase);
+
+    it("pages through top-level comments, pinned first, with reply counts", async (t) => {
+        if (skipWithoutDatabase(t)) return;
+
+        const firstPage = await comments.getPostComments({ viewerId: users.viewer, postId: ids.post, limit: 2 });
+        const secondPage = await comments.getPostComments({
+            viewerId: users.viewer,
+            postId: ids.post,
+            cursor: decodeRankedCursor(firstPage.nextCursor),
+            limit: 2,
+        });
+
+        assert.deepEqual(
+            [...firstPage.comments, ...secondPage.comments].map((comment) => comment.id),
+            [ids.second, ids.fourth, ids.third, ids.first]
+        );
+        assert.equal(secondPage.nextCursor, null);
+
+        const first = secondPage.comments.find((comment) => comment.id === ids.first);
+        assert.equal(first.reply_count, 3);
+        assert.equal(firstPage.comments[0].reply_count, 0);
+    });
+
+    it("pages through replies oldest first", async (t) => {
+        if (skipWithoutDatabase(t)) return;
+
+        const firstPage = await comments.getCommentReplies({ viewerId: users.viewer, commentId: ids.first, limit: 2 });
+        const secondPage = await comments.getCommentReplies({
+            viewerId: users.viewer,
+            commentId: ids.first,
+            cursor: decodeTimeCursor(firstPage.nextCursor),
+            limit: 2,
+        });
+
+        assert.deepEqual(
+            firstPage.replies.map((reply) => reply.id),
+            [ids["reply-1"], ids["reply-2"]]
+        );
+        assert.deepEqual(
+            secondPage.replies.map((reply) => reply.id),
+            [ids["reply-3"]]
+        );
+        assert.equal(secondPage.nextCursor, null);
+        assert.ok(firstPage.replies.every((reply) => reply.parent_comment_id === ids.first));
+    });
+
+    it("shows replies blocked for one viewer to others", async (t) => {
+        if (skipWithoutDatabase(t)) return;
+
+        const { replies } = await comments.getCommentReplies({ viewerId: users.alice, commentId: ids.first, limit: 10 });
+        assert.equal(replies.length, 4);
+    });
+
+    it("keeps replies one level deep", async (t) => {
+        if (skipWithoutDatabase(t)) return;
+
+        assert.deepEqual(await comments.findReplyTarget({ userId: users.viewer, postId: ids.post, commentId: ids.first }), {
+            parentCommentId: ids.first,
+            repliedToUserId: users.alice,
+        });
+
+        // Replying to a reply joins the same thread but notifies the reply's author
+        assert.deepEqual(await comments.findReplyTarget({ userId: users.viewer, postId: ids.post, commentId: ids["reply-1"] }), {
+            parentCommentId: ids.first,
+            repliedToUserId: users.bob,
+        });
+
+        await assert.rejects(comments.getCommentReplies({ viewerId: users.viewer, commentId: ids["reply-1"], limit: 10 }), { status: 404 });
+    });
+
+    it("rejects replies to comments on another post or by blocked users", async (t) => {
+        if (skipWithoutDatabase(t)) return;
+
+        await assert.rejects(comments.findReplyTarget({ userId: users.viewer, postId: ids.post + 1, commentId: ids.first }), { status: 404 });
+        await assert.rejects(comments.findReplyTarget({ userId: users.viewer, postId: ids.post, commentId: ids["reply-blocked"] }), {
+            status: 404,
+        });
+    });
+});
@@ -0,0 +1,164 @@
+const { describe, it, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { DEFAULT_WEIGHTS, loadWeights, scorePost, rankPosts } = require("../services/feedRanking");
+
+const NOW = new Date("2026-01-10T12:00:00Z");
+const hoursAgo = (hours) => new Date(NOW.getTime() - hours * 3600000);
+
+describe("loadWeights", () => {
+    let savedEnv;
+
+    beforeEach(() => {
+        savedEnv = process.env.FEED_RANKING_WEIGHTS;
+        delete process.env.FEED_RANKING_WEIGHTS;
+    });
+
+    afterEach(() => {
+        if (savedEnv === undefined) {
+            delete process.env.FEED_RANKING_WEIGHTS;
+        } else {
+            process.env.FEED_RANKING_WEIGHTS = savedEnv;
+        }
+    });
+
+    it("returns a copy of the defaults when FEED_RANKING_WEIGHTS is unset", () => {
+        const weights = loadWeights();
+        assert.deepEqual(weights, DEFAULT_WEIGHTS);
+        assert.notEqual(weights, DEFAULT_WEIGHTS);
+    });
+
+    it("overrides only the weights given in FEED_RANKING_WEIGHTS", () => {
+        process.env.FEED_RANKING_WEIGHTS = '{"commentVelocity": 4, "discovery": 0}';
+        assert.deepEqual(loadWeights(), { ...DEFAULT_WEIGHTS, commentVelocity: 4, discovery: 0 });
+    });
+
+    it("accepts overrides passed as an object", () => {
+        assert.deepEqual(loadWeights({ halfLifeHours: 12 }), { ...DEFAULT_WEIGHTS, halfLifeHours: 12 });
+    });
+
+    it("rejects values that are not JSON", () => {
+        process.env.FEED_RANKING_WEIGHTS = "{commentVelocity: 4}";
+        assert.throws(() => loadWeights(), /FEED_RANKING_WEIGHTS is not valid JSON/);
+    });
+
+    it("rejects JSON that is not an object", () => {
+        for (const value of ["[1, 2]", "3", "null", '"weights"']) {
+            process.env.FEED_RANKING_WEIGHTS = value;
+            assert.throws(() => loadWeights(), /must be a JSON object/, value);
+        }
+    });
+
+    it("rejects unknown weights", () => {
+        process.env.FEED_RANKING_WEIGHTS = '{"shares": 2}';
+        assert.throws(() => loadWeights(), /Invalid feed ranking weight "shares"/);
+    });
+
+    it("rejects weights that are not non-negative numbers", () => {
+        for (const value of ['{"saves": "2"}', '{"saves": -1}', '{"saves": null}', '{"saves": true}']) {
+            process.env.FEED_RANKING_WEIGHTS = value;
+            assert.throws(() => loadWeights(), /Invalid feed ranking weight "saves"/, value);
+        }
+    });
+});
+
+describe("scorePost", () => {
+    const followedPost = (overrides = {}) => ({
+        createdAt: NOW,
+        recentLikes: 0,
+        recentComments: 0,
+        authorAffinity: 0,
+        saves: 0,
+        followed: true,
+        ...overrides,
+    });
+
+    it("scores a brand new post without engagement at the base weight", () => {
+        assert.equal(scorePost(followedPost(), undefined, NOW), DEFAULT_WEIGHTS.base);
+    });
+
+    it("treats missing signals as zero", () => {
+        assert.equal(scorePost({ createdAt: NOW, followed: true }, DEFAULT_WEIGHTS, NOW), DEFAULT_WEIGHTS.base);
+    });
+
+    it("halves the score every halfLifeHours", () => {
+        const fresh = scorePost(followedPost({ saves: 3 }), DEFAULT_WEIGHTS, NOW);
+        const oneHalfLife = scorePost(followedPost({ saves: 3, createdAt: hoursAgo(24) }), DEFAULT_WEIGHTS, NOW);
+        const twoHalfLives = scorePost(followedPost({ saves: 3, createdAt: hoursAgo(48) }), DEFAULT_WEIGHTS, NOW);
+
+        assert.ok(Math.abs(oneHalfLife - fresh / 2) < 1e-9);
+        assert.ok(Math.abs(twoHalfLives - fresh / 4) < 1e-9);
+    });
+
+    it("doesn't decay when halfLifeHours is 0", () => {
+        const weights = { ...DEFAULT_WEIGHTS, halfLifeHours: 0 };
+        assert.equal(scorePost(followedPost({ createdAt: hoursAgo(500) }), weights, NOW), DEFAULT_WEIGHTS.base);
+    });
+
+    it("treats posts dated in the future as brand new", () => {
+        assert.equal(scorePost(followedPost({ createdAt: hoursAgo(-5) }), DEFAULT_WEIGHTS, NOW), DEFAULT_WEIGHTS.base);
+    });
+
+    it("measures engagement per hour since the post was created", () => {
+        const weights = { ...DEFAULT_WEIGHTS, halfLifeHours: 0 };
+
+        // 10 likes in 2 hours is 5 likes an hour
+        const twoHoursOld = scorePost(followedPost({ recentLikes: 10, createdAt: hoursAgo(2) }), weights, NOW);
+        assert.ok(Math.abs(twoHoursOld - (weights.base + weights.likeVelocity * Math.log1p(5))) < 1e-9);
+
+        // Younger posts count as at least an hour old
+        const minutesOld = scorePost(followedPost({ recentComments: 3, createdAt: hoursAgo(0.1) }), weights, NOW);
+        assert.ok(Math.abs(minutesOld - (weights.base + weights.commentVelocity * Math.log1p(3))) < 1e-9);
+
+        // Older posts are measured over the velocity window only
+        const weekOld = scorePost(followedPost({ recentLikes: 48, createdAt: hoursAgo(24 * 7) }), weights, NOW);
+        assert.ok(Math.abs(weekOld - (weights.base + weights.likeVelocity * Math.log1p(2))) < 1e-9);
+    });
+
+    it("applies the discovery multiplier to posts from accounts the viewer doesn't follow", () => {
+        const followed = scorePost(followedPost({ saves: 2 }), DEFAULT_WEIGHTS, NOW);
+        const discovered = scorePost(followedPost({ saves: 2, followed: false }), DEFAULT_WEIGHTS, NOW);
+        assert.ok(Math.abs(discovered - followed * DEFAULT_WEIGHTS.discovery) < 1e-9);
+    });
+
+    it("ranks higher with more author affinity", () => {
+        const stranger = scorePost(followedPost(), DEFAULT_WEIGHTS, NOW);
+        const friend = scorePost(followedPost({ authorAffinity: 5 }), DEFAULT_WEIGHTS, NOW);
+        assert.ok(friend > stranger);
+    });
+});
+
+describe("rankPosts", () => {
+    const candidate = (id, signals) => ({ post: { id }, signals: { followed: true, ...signals } });
+
+    it("orders by score and adds it to each candidate", () => {
+        const ranked = rankPosts(
+            [
+                candidate(1, { createdAt: hoursAgo(48) }),
+                candidate(2, { createdAt: hoursAgo(1), recentLikes: 20 }),
+                candidate(3, { createdAt: hoursAgo(1) }),
+            ],
+            DEFAULT_WEIGHTS,
+            NOW
+        );
+
+        assert.deepEqual(
+            ranked.map((item) => item.post.id),
+            [2, 3, 1]
+        );
+        ranked.forEach((item) => assert.equal(item.score, scorePost(item.signals, DEFAULT_WEIGHTS, NOW)));
+    });
+
+    it("breaks ties by the newer post, then the higher id", () => {
+        const weights = { ...DEFAULT_WEIGHTS, halfLifeHours: 0 };
+        const ranked = rankPosts(
+            [candidate(1, { createdAt: hoursAgo(5) }), candidate(2, { createdAt: hoursAgo(3) }), candidate(3, { createdAt: hoursAgo(5) })],
+            weights,
+            NOW
+        );
+
+        assert.deepEqual(
+            ranked.map((item) => item.post.id),
+            [2, 3, 1]
+        );
+    });
+});
@@ -0,0 +1,150 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { setupDatabase, teardownDatabase } = require("./fixtures/database");
+const { decodeTimeCursor } = require("../utils/pagination");
+
+describe("getHomeFeed", () => {
+    let db;
+    let getHomeFeed;
+    const users = {};
+    const posts = {};
+
+    const insertUser = async (username) => {
+        const [result] = await db.promise().query("INSERT INTO users (username, email) VALUES (?, ?)", [username, `${username}@example.com`]);
+        users[username] = result.insertId;
+    };
+
+    const insertPost = async (name, username, createdAt) => {
+        const [result] = await db
+            .promise()
+            .query("INSERT INTO posts (user_id, content, created_at) VALUES (?, ?, ?)", [users[username], name, createdAt]);
+        posts[name] = result.insertId;
+        return result.insertId;
+    };
+
+    // Every page of the viewer's feed, following nextCursor to the end
+    const readAllPages = async (limit) => {
+        const pages = [];
+        let cursor = null;
+        do {
+            const page = await getHomeFeed({ viewerId: users.viewer, cursor, limit });
+            pages.push(page.posts);
+            cursor = page.nextCursor ? decodeTimeCursor(page.nextCursor) : null;
+        } while (cursor);
+        return pages;
+    };
+
+    const skipWithoutDatabase = (t) => {
+        if (!db) {
+            t.skip("set TEST_DB_HOST to run against MySQL");
+        }
+        return !db;
+    };
+
+    before(async () => {
+        db = await setupDatabase();
+        if (!db) {
+            return;
+        }
+        ({ getHomeFeed } = require("../services/feedService"));
+
+        for (const username of ["viewer", "alice", "bob", "carol"]) {
+            await insertUser(username);
+        }
+
+        // The viewer follows alice and bob; alice and carol follow the viewer back. Several
+        // follower rows per author is what used to repeat the viewer's own posts.
+        await db.promise().query("INSERT INTO followers (follower_id, following_id) VALUES ?", [
+            [
+                [users.viewer, users.alice],
+                [users.viewer, users.bob],
+                [users.alice, users.viewer],
+                [users.carol, users.viewer],
+            ],
+        ]);
+
+        await insertPost("viewer-1", "viewer", "2026-01-01 12:00:00");
+        await insertPost("alice-1", "alice", "2026-01-01 11:00:00");
+        // Same timestamp: ordered by id
+        await insertPost("bob-1", "bob", "2026-01-01 10:00:00");
+        await insertPost("viewer-2", "viewer", "2026-01-01 10:00:00");
+        await insertPost("alice-2", "alice", "2026-01-01 09:00:00");
+        await insertPost("carol-1", "carol", "2026-01-01 08:30:00");
+        await insertPost("bob-2", "bob", "2026-01-01 08:00:00");
+        await insertPost("viewer-3", "viewer", "2026-01-01 07:00:00");
+    });
+
+    after(teardownDatabase);
+
+    const expectedOrder = () => ["viewer-1", "alice-1", "viewer-2", "bob-1", "alice-2", "bob-2", "viewer-3"].map((name) => posts[name]);
+
+    it("returns each post once across pages, newest first", async (t) => {
+        if (skipWithoutDatabase(t)) return;
+
+        for (const limit of [1, 2, 3, 50]) {
+            const ids = (await readAllPages(limit)).flat().map((post) => post.id);
+            assert.equal(new Set(ids).size, ids.length, `duplicate posts with limit ${limit}`);
+            assert.deepEqual(ids, expectedOrder());
+        }
+    });
+
+    it("leaves out posts from accounts the viewer doesn't follow", async (t) => {
+        if (skipWithoutDatabase(t)) return;
+
+        const ids = (await readAllPages(50)).flat().map((post) => post.id);
+        assert.ok(!ids.includes(posts["carol-1"]));
+    });
+
+    it("keeps later pages stable when newer posts arrive", async (t) => {
+        if (skipWithoutDatabase(t)) return;
+
+        const firstPage = await getHomeFeed({ viewerId: users.viewer, cursor: null, limit: 3 });
+        assert.deepEqual(
+            firstPage.posts.map((post) => post.id),
+            expectedOrder().slice(0, 3)
+        );
+
+        const newPostId = await insertPost("alice-new", "alice", "2026-01-02 00:00:00");
+        try {
+            const secondPage = await getHomeFeed({ viewerId: users.viewer, cursor: decodeTimeCursor(firstPage.nextCursor), limit: 3 });
+            assert.deepEqual(
+                secondPage.posts.map((post) => post.id),
+                expectedOrder().slice(3, 6)
+            );
+        } finally {
+            await db.promise().query("DELETE FROM posts WHERE id = ?", [newPostId]);
+        }
+    });
+
+    it("sets liked and saved flags for the viewer only", async (t) => {
+        if (skipWithoutDatabase(t)) return;
+
+        await db.promise().query("INSERT INTO likes (user_id, post_id) VALUES ?", [
+            [
+                [users.viewer, posts["alice-1"]],
+                [users.bob, posts["bob-1"]],
+            ],
+        ]);
+        // Alice saving her own post must not mark it saved for the viewer
+        await db.promise().query("INSERT INTO saved_posts (user_id, post_id) VALUES ?", [
+            [
+                [users.viewer, posts["bob-1"]],
+                [users.alice, posts["alice-1"]],
+            ],
+        ]);
+
+        const feed = (await readAllPages(50)).flat();
+        const byId = new Map(feed.map((post) => [post.id, post]));
+
+        assert.equal(byId.get(posts["alice-1"]).liked_by_current_user, 1);
+        assert.equal(byId.get(posts["alice-1"]).saved_by_current_user, 0);
+        assert.equal(byId.get(posts["bob-1"]).liked_by_current_user, 0);
+        assert.equal(byId.get(posts["bob-1"]).saved_by_current_user, 1);
+        assert.equal(byId.get(posts["bob-1"]).like_count, 1);
+
+        for (const name of ["viewer-1", "viewer-2", "alice-2", "bob-2", "viewer-3"]) {
+            assert.equal(byId.get(posts[name]).liked_by_current_user, 0, name);
+            assert.equal(byId.get(posts[name]).saved_by_current_user, 0, name);
+        }
+    });
+});
@@ -0,0 +1,80 @@
+// Throwaway MySQL database for tests that need one.
+//
+// Set TEST_DB_HOST, TEST_DB_USER and TEST_DB_PASSWORD to a server the tests may create databases
+// on. setupDatabase() creates a fresh database, loads schema.sql and every migration, and points
+// ../../db.js at it; call it before requiring anything that uses the database. Without
+// TEST_DB_HOST, or when the server can't be reached, it returns null and the tests skip.
+
+const fs = require("fs");
+const path = require("path");
+const mysql = require("mysql2/promise");
+
+const MIGRATIONS_DIR = path.join(__dirname, "..", "..", "migrations");
+
+let databaseName = null;
+
+const connectionOptions = () => ({
+    host: process.env.TEST_DB_HOST,
+    user: process.env.TEST_DB_USER || "root",
+    password: process.env.TEST_DB_PASSWORD || "",
+    multipleStatements: true,
+});
+
+const setupDatabase = async () => {
+    if (!process.env.TEST_DB_HOST) {
+        return null;
+    }
+
+    let connection;
+    try {
+        connection = await mysql.createConnection(connectionOptions());
+    } catch (err) {
+        console.warn(`Skipping database tests: ${err.message}`);
+        return null;
+    }
+
+    databaseName = `link_test_${process.pid}_${Date.now()}`;
+
+    try {
+        await connection.query(`CREATE DATABASE ${databaseName} CHARACTER SET utf8mb4`);
+        await connection.query(`USE ${databaseName}`);
+        await connection.query(fs.readFileSync(path.join(__dirname, "schema.sql"), "utf8"));
+
+        const migrations = fs
+            .readdirSync(MIGRATIONS_DIR)
+            .filter((file) => file.endsWith(".sql"))
+            .sort();
+        for (const file of migrations) {
+            await connection.query(fs.readFileSync(path.join(MIGRATIONS_DIR, file), "utf8"));
+        }
+    } finally {
+        await connection.end();
+    }
+
+    // db.js reads these when it is first required; dotenv leaves variables that are already set alone
+    process.env.DB_HOST = process.env.TEST_DB_HOST;
+    process.env.DB_USER = connectionOptions().user;
+    process.env.DB_PASSWORD = connectionOptions().password;
+    process.env.DB_NAME = databaseName;
+
+    return require("../../db");
+};
+
+// Close the pool and drop the database created by setupDatabase()
+const teardownDatabase = async () => {
+    if (!databaseName) {
+        return;
+    }
+
+    await new Promise((resolve) => require("../../db").end(resolve));
+
+    const connection = await mysql.createConnection(connectionOptions());
+    try {
+        await connection.query(`DROP DATABASE IF EXISTS ${databaseName}`);
+    } finally {
+        await connection.end();
+        databaseName = null;
+    }
+};
+
+module.exports = { setupDatabase, teardownDatabase };
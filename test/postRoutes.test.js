@@ -0,0 +1,74 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const express = require("express");
+const postRoutes = require("../routes/postRoutes");
+const { errorHandler, notFoundHandler } = require("../middleware/errorHandler");
+
+// Routing and validation only: every request here is rejected before it reaches the database
+describe("post routes", () => {
+    let server;
+    let baseUrl;
+
+    before(async () => {
+        const app = express();
+        app.use(express.json());
+        app.use((req, res, next) => {
+            req.user = { userId: 1 };
+            next();
+        });
+        app.use("/api/posts", postRoutes);
+        app.use(notFoundHandler);
+        app.use(errorHandler);
+
+        server = app.listen(0);
+        await new Promise((resolve) => server.once("listening", resolve));
+        baseUrl = `http://127.0.0.1:${server.address().port}`;
+    });
+
+    after(() => new Promise((resolve) => server.close(resolve)));
+
+    const post = async (path, body) => {
+        const response = await fetch(`${baseUrl}${path}`, {
+            method: "POST",
+            headers: { "Content-Type": "application/json" },
+            body: JSON.stringify(body),
+        });
+        return { status: response.status, body: await response.json() };
+    };
+
+    const get = async (path) => {
+        const response = await fetch(`${baseUrl}${path}`);
+        return { status: response.status, body: await response.json() };
+    };
+
+    it("routes POST /finalize to the finalize handler, not the profile posts route", async () => {
+        const { status, body } = await post("/api/posts/finalize", { content: "Sunset" });
+
+        assert.equal(status, 400);
+        assert.equal(body.error.code, "VALIDATION_ERROR");
+        assert.deepEqual(body.error.details.fields, [{ field: "body.uploadIds", message: "is required" }]);
+    });
+
+    it("validates the finalize upload list", async () => {
+        const { status, body } = await post("/api/posts/finalize", { uploadIds: [], content: "Sunset" });
+
+        assert.equal(status, 400);
+        assert.deepEqual(body.error.details.fields, [{ field: "body.uploadIds", message: "must have at least 1 items" }]);
+    });
+
+    it("only treats numeric ids as profile post requests", async () => {
+        const { status } = await post("/api/posts/not-a-user", {});
+
+        assert.equal(status, 404);
+    });
+
+    it("validates comment and reply paging", async () => {
+        const comments = await get("/api/posts/12/comments?limit=0");
+        assert.equal(comments.status, 400);
+        assert.deepEqual(comments.body.error.details.fields, [{ field: "query.limit", message: "must be at least 1" }]);
+
+        const replies = await get("/api/posts/comment/12/replies?limit=500");
+        assert.equal(replies.status, 400);
+        assert.deepEqual(replies.body.error.details.fields, [{ field: "query.limit", message: "must be at most 50" }]);
+    });
+});
@@ -0,0 +1,74 @@
+const crypto = require("crypto");
+const db = require("../db");
+const { signActionToken, verifyActionToken } = require("./tokens");
+const { sendMail } = require("./mailer");
+
+const EMAIL_VERIFICATION_TTL_SECONDS = 24 * 60 * 60;
+const PASSWORD_RESET_TTL_SECONDS = 60 * 60;
+
+const clientUrl = () => process.env.CLIENT_URL || "http://localhost:3000";
+
+// Issue a signed token for the given purpose and record it so it can be used only once
+const issueAccountToken = async (userId, purpose, ttlSeconds) => {
+    const jti = crypto.randomBytes(16).toString("hex");
+
+    await db.promise().query(
+        `INSERT INTO account_tokens (user_id, purpose, jti, expires_at)
+         VALUES (?, ?, ?, DATE_ADD(NOW(), INTERVAL ? SECOND))`,
+        [userId, purpose, jti, ttlSeconds]
+    );
+
+    return signActionToken({ userId, purpose, jti }, ttlSeconds);
+};
+
+// Returns the user id the token was issued for, or null if it's invalid, expired or already used
+const consumeAccountToken = async (token, purpose) => {
+    let claims;
+    try {
+        claims = verifyActionToken(token, purpose);
+    } catch (err) {
+        return null;
+    }
+
+    const [result] = await db.promise().query(
+        `UPDATE account_tokens SET used_at = NOW()
+         WHERE jti = ? AND user_id = ? AND purpose = ? AND used_at IS NULL AND expires_at > NOW()`,
+        [claims.jti, claims.userId, purpose]
+    );
+
+    if (result.affectedRows === 0) {
+        return null;
+    }
+
+    // Any other outstanding tokens for the same flow are no longer needed
+    await db.promise().query(`UPDATE account_tokens SET used_at = NOW() WHERE user_id = ? AND purpose = ? AND used_at IS NULL`, [
+        claims.userId,
+        purpose,
+    ]);
+
+    return claims.userId;
+};
+
+const sendVerificationEmail = async (user) => {
+    const token = await issueAccountToken(user.id, "email_verification", EMAIL_VERIFICATION_TTL_SECONDS);
+    const link = `${clientUrl()}/verify-email?token=${encodeURIComponent(token)}`;
+
+    await sendMail({
+        to: user.email,
+        subject: "Verify your email address",
+        text: `Hi ${user.username},\n\nConfirm your email address by opening the link below. It expires in 24 hours.\n\n${link}\n`,
+    });
+};
+
+const sendPasswordResetEmail = async (user) => {
+    const token = await issueAccountToken(user.id, "password_reset", PASSWORD_RESET_TTL_SECONDS);
+    const link = `${clientUrl()}/reset-password?token=${encodeURIComponent(token)}`;
+
+    await sendMail({
+        to: user.email,
+        subject: "Reset your password",
+        text: `Hi ${user.username},\n\nYou can choose a new password using the link below. It expires in 1 hour.\nIf you didn't ask for this, you can ignore this email.\n\n${link}\n`,
+    });
+};
+
+module.exports = { consumeAccountToken, sendVerificationEmail, sendPasswordResetEmail };
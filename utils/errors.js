@@ -0,0 +1,25 @@
+// Stable error codes sent to clients, by HTTP status
+const DEFAULT_CODES = {
+    400: "BAD_REQUEST",
+    401: "UNAUTHORIZED",
+    403: "FORBIDDEN",
+    404: "NOT_FOUND",
+    409: "CONFLICT",
+    413: "PAYLOAD_TOO_LARGE",
+    429: "TOO_MANY_REQUESTS",
+    500: "INTERNAL_ERROR",
+};
+
+// An error whose message is safe to show to the client. Anything else that reaches the
+// error handler is logged and reported as a generic INTERNAL_ERROR.
+class AppError extends Error {
+    constructor(status, message, { code, details, cause } = {}) {
+        super(message, { cause });
+        this.name = "AppError";
+        this.status = status;
+        this.code = code || DEFAULT_CODES[status] || "ERROR";
+        this.details = details || null;
+    }
+}
+
+module.exports = { AppError };
@@ -0,0 +1,57 @@
+const db = require("../db");
+
+const getIdentities = async (userId) => {
+    const [identities] = await db.promise().query(
+        `SELECT provider, created_at FROM user_identities WHERE user_id = ? ORDER BY created_at ASC`,
+        [userId]
+    );
+    return identities;
+};
+
+const hasIdentity = async (userId, provider) => {
+    const [identities] = await db.promise().query(`SELECT 1 FROM user_identities WHERE user_id = ? AND provider = ?`, [userId, provider]);
+    return identities.length > 0;
+};
+
+const addIdentity = async (userId, provider, providerUserId = null) => {
+    await db.promise().query(`INSERT INTO user_identities (user_id, provider, provider_user_id) VALUES (?, ?, ?)`, [
+        userId,
+        provider,
+        providerUserId,
+    ]);
+};
+
+const removeIdentity = async (userId, provider) => {
+    const [result] = await db.promise().query(`DELETE FROM user_identities WHERE user_id = ? AND provider = ?`, [userId, provider]);
+    return result.affectedRows;
+};
+
+// Find the user a Google account signs in as. Identities created before subjects were
+// recorded are matched by email once and then bound to the subject.
+const findUserByGoogleSubject = async (subject, email) => {
+    const [bySubject] = await db.promise().query(
+        `SELECT user_id FROM user_identities WHERE provider = 'google' AND provider_user_id = ?`,
+        [subject]
+    );
+
+    if (bySubject.length > 0) {
+        return bySubject[0].user_id;
+    }
+
+    const [legacy] = await db.promise().query(
+        `SELECT ui.id, ui.user_id
+         FROM user_identities ui
+         JOIN users u ON ui.user_id = u.id
+         WHERE ui.provider = 'google' AND ui.provider_user_id IS NULL AND u.email = ?`,
+        [email]
+    );
+
+    if (legacy.length > 0) {
+        await db.promise().query(`UPDATE user_identities SET provider_user_id = ? WHERE id = ?`, [subject, legacy[0].id]);
+        return legacy[0].user_id;
+    }
+
+    return null;
+};
+
+module.exports = { getIdentities, hasIdentity, addIdentity, removeIdentity, findUserByGoogleSubject };
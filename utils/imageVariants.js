@@ -0,0 +1,96 @@
+const fs = require("fs");
+const sharp = require("sharp");
+const { AppError } = require("./errors");
+
+// Widths (px) of the resized copies made for every uploaded image. Images are never enlarged.
+const VARIANT_WIDTHS = {
+    thumbnail: 320,
+    medium: 1080,
+    full: 2048,
+};
+
+const FORMATS = {
+    webp: { extension: "webp", contentType: "image/webp", options: { quality: 80 } },
+    jpeg: { extension: "jpg", contentType: "image/jpeg", options: { quality: 82, mozjpeg: true } },
+};
+
+// Animated formats would lose their frames, so they are stored as uploaded (content type -> extension)
+const PASSTHROUGH_TYPES = { "image/gif": "gif" };
+
+const variantKey = (baseKey, size, format) => `${baseKey}_${size}.${FORMATS[format].extension}`;
+
+// Resize, rotate according to EXIF orientation and re-encode an image. sharp drops all
+// metadata (EXIF, GPS, XMP) unless asked to keep it, so none of the outputs carry any.
+const renderVariants = async (input) => {
+    let image;
+    try {
+        image = sharp(input).rotate();
+        await image.metadata();
+    } catch (err) {
+        throw new AppError(400, "The uploaded file is not a readable image.", { code: "INVALID_MEDIA", cause: err });
+    }
+
+    const outputs = [];
+    for (const [size, width] of Object.entries(VARIANT_WIDTHS)) {
+        for (const format of Object.keys(FORMATS)) {
+            const { data, info } = await image
+                .clone()
+                .resize({ width, withoutEnlargement: true })
+                .toFormat(format, FORMATS[format].options)
+                .toBuffer({ resolveWithObject: true });
+            outputs.push({ size, format, buffer: data, width: info.width, height: info.height });
+        }
+    }
+    return outputs;
+};
+
+// Create and upload the variants for an image using `put(key, body, contentType, contentLength)`,
+// which must resolve to the object's URL. `input` is a Buffer or the path of a file on disk.
+// The full-size JPEG becomes the image's main URL.
+//
+// Returns { fileUrl, width, height, variants } where variants looks like
+// { thumbnail: { width, height, webp: url, jpeg: url }, medium: {...}, full: {...} }
+const uploadImageVariants = async (input, contentType, baseKey, put) => {
+    if (PASSTHROUGH_TYPES[contentType]) {
+        const metadata = await sharp(input).metadata();
+        const key = `${baseKey}.${PASSTHROUGH_TYPES[contentType]}`;
+        const fileUrl = Buffer.isBuffer(input)
+            ? await put(key, input, contentType)
+            : await put(key, fs.createReadStream(input), contentType, (await fs.promises.stat(input)).size);
+        return { fileUrl, width: metadata.width, height: metadata.height, variants: null };
+    }
+
+    const outputs = await renderVariants(input);
+    const urls = await Promise.all(
+        outputs.map((output) => put(variantKey(baseKey, output.size, output.format), output.buffer, FORMATS[output.format].contentType))
+    );
+
+    const variants = {};
+    outputs.forEach((output, index) => {
+        variants[output.size] = variants[output.size] || { width: output.width, height: output.height };
+        variants[output.size][output.format] = urls[index];
+    });
+
+    return { fileUrl: variants.full.jpeg, width: variants.full.width, height: variants.full.height, variants };
+};
+
+// True if `variants` is the map uploadImageVariants() returned for `fileUrl`. Used where the
+// map comes back from a client, e.g. DM attachments sent over the socket.
+const isVariantMapFor = (variants, fileUrl) => {
+    if (!variants || typeof variants !== "object" || typeof fileUrl !== "string" || !fileUrl.endsWith("_full.jpg")) {
+        return false;
+    }
+
+    const base = fileUrl.slice(0, -"_full.jpg".length);
+    return Object.keys(VARIANT_WIDTHS).every((size) => {
+        const entry = variants[size];
+        return (
+            entry &&
+            Number.isInteger(entry.width) &&
+            Number.isInteger(entry.height) &&
+            Object.keys(FORMATS).every((format) => entry[format] === variantKey(base, size, format))
+        );
+    });
+};
+
+module.exports = { VARIANT_WIDTHS, uploadImageVariants, isVariantMapFor };
@@ -0,0 +1,45 @@
+const fs = require("fs");
+const path = require("path");
+
+// A transport is any object with an async send({ to, subject, text, html }) method.
+// MAIL_TRANSPORT picks one of the built-in transports; setTransport() plugs in another
+// (e.g. an SMTP or API-based one) without touching the code that sends mail.
+
+const consoleTransport = {
+    async send(message) {
+        console.log(`[mail] To: ${message.to}\nSubject: ${message.subject}\n\n${message.text}`);
+    },
+};
+
+// Writes each message as a JSON file, handy for inspecting mail in development and tests
+const createFileTransport = (outputDir) => ({
+    async send(message) {
+        await fs.promises.mkdir(outputDir, { recursive: true });
+        const fileName = `${Date.now()}_${message.to.replace(/[^a-zA-Z0-9@._-]/g, "_")}.json`;
+        await fs.promises.writeFile(path.join(outputDir, fileName), JSON.stringify(message, null, 4));
+    },
+});
+
+const createDefaultTransport = () => {
+    if (process.env.MAIL_TRANSPORT === "file") {
+        return createFileTransport(process.env.MAIL_OUTPUT_DIR || path.join(__dirname, "..", "tmp", "mail"));
+    }
+    return consoleTransport;
+};
+
+let transport;
+
+const setTransport = (newTransport) => {
+    transport = newTransport;
+};
+
+const sendMail = async ({ to, subject, text, html }) => {
+    if (!transport) {
+        transport = createDefaultTransport();
+    }
+
+    const from = process.env.MAIL_FROM || "no-reply@link.app";
+    await transport.send({ from, to, subject, text, html });
+};
+
+module.exports = { sendMail, setTransport, consoleTransport, createFileTransport };
@@ -0,0 +1,63 @@
+const { AppError } = require("./errors");
+
+const DEFAULT_PAGE_SIZE = 10;
+const MAX_PAGE_SIZE = 50;
+
+// Cursors are opaque to clients: base64url-encoded JSON of the last item's sort keys
+const encodeCursor = (values) => Buffer.from(JSON.stringify(values)).toString("base64url");
+
+const decodeCursor = (cursor) => {
+    try {
+        const values = JSON.parse(Buffer.from(cursor, "base64url").toString("utf8"));
+        if (values && typeof values === "object") {
+            return values;
+        }
+    } catch (err) {
+        // fall through
+    }
+    throw new AppError(400, "Invalid pagination cursor.", { code: "INVALID_CURSOR" });
+};
+
+// Decode a (created_at, id) cursor as used by newest-first lists
+const decodeTimeCursor = (cursor) => {
+    const { createdAt, id } = decodeCursor(cursor);
+    const date = new Date(createdAt);
+
+    if (Number.isNaN(date.getTime()) || !Number.isInteger(id)) {
+        throw new AppError(400, "Invalid pagination cursor.", { code: "INVALID_CURSOR" });
+    }
+    return { createdAt: date, id };
+};
+
+const encodeTimeCursor = (row) => encodeCursor({ createdAt: new Date(row.created_at).toISOString(), id: row.id });
+
+// Ranked lists are paged by offset into a ranking computed at `rankedAt`
+const encodeRankedCursor = (offset, rankedAt) => encodeCursor({ offset, rankedAt: rankedAt.toISOString() });
+
+const decodeRankedCursor = (cursor) => {
+    const { offset, rankedAt } = decodeCursor(cursor);
+    const date = new Date(rankedAt);
+
+    if (Number.isNaN(date.getTime()) || !Number.isInteger(offset) || offset < 0) {
+        throw new AppError(400, "Invalid pagination cursor.", { code: "INVALID_CURSOR" });
+    }
+    return { offset, rankedAt: date };
+};
+
+// Rules for the optional ?cursor=&limit= query parameters
+const paginationQuery = {
+    cursor: { type: "string", maxLength: 500 },
+    limit: { type: "integer", min: 1, max: MAX_PAGE_SIZE },
+};
+
+module.exports = {
+    DEFAULT_PAGE_SIZE,
+    MAX_PAGE_SIZE,
+    encodeCursor,
+    decodeCursor,
+    encodeTimeCursor,
+    decodeTimeCursor,
+    encodeRankedCursor,
+    decodeRankedCursor,
+    paginationQuery,
+};
@@ -0,0 +1,11 @@
+// Every successful response uses the same envelope: { success, error, data }.
+// Failures go through next(err) and are shaped by middleware/errorHandler.js.
+const sendSuccess = (res, data = null, status = 200) => {
+    return res.status(status).json({
+        success: true,
+        error: null,
+        data,
+    });
+};
+
+module.exports = { sendSuccess };
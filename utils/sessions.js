@@ -0,0 +1,95 @@
+const crypto = require("crypto");
+const db = require("../db");
+const { signAccessToken } = require("./tokens");
+
+const REFRESH_TOKEN_TTL_DAYS = 30;
+
+const hashToken = (token) => crypto.createHash("sha256").update(token).digest("hex");
+
+const generateRefreshToken = () => crypto.randomBytes(48).toString("hex");
+
+// Create a new session for the user and return its access and refresh tokens
+const createSession = async (userId, req) => {
+    const refreshToken = generateRefreshToken();
+
+    const [result] = await db.promise().query(
+        `INSERT INTO sessions (user_id, refresh_token_hash, user_agent, ip_address, expires_at)
+         VALUES (?, ?, ?, ?, DATE_ADD(NOW(), INTERVAL ? DAY))`,
+        [userId, hashToken(refreshToken), req.headers["user-agent"]?.slice(0, 255) || null, req.ip, REFRESH_TOKEN_TTL_DAYS]
+    );
+
+    return {
+        token: signAccessToken({ userId, sessionId: result.insertId }),
+        refreshToken,
+    };
+};
+
+// Exchange a refresh token for a new token pair. The old refresh token stops working.
+// Returns null when the refresh token is invalid, expired or was already used.
+const rotateSession = async (refreshToken, req) => {
+    const refreshTokenHash = hashToken(refreshToken);
+    const [sessions] = await db.promise().query(
+        `SELECT id, user_id FROM sessions
+         WHERE refresh_token_hash = ? AND revoked_at IS NULL AND expires_at > NOW()`,
+        [refreshTokenHash]
+    );
+
+    if (sessions.length === 0) {
+        return null;
+    }
+
+    const session = sessions[0];
+    const newRefreshToken = generateRefreshToken();
+
+    // Only swap the hash if it is still the one presented, so of two concurrent refreshes with the
+    // same token exactly one wins
+    const [result] = await db.promise().query(
+        `UPDATE sessions
+         SET refresh_token_hash = ?, last_used_at = NOW(), ip_address = ?, user_agent = ?,
+             expires_at = DATE_ADD(NOW(), INTERVAL ? DAY)
+         WHERE id = ? AND refresh_token_hash = ? AND revoked_at IS NULL AND expires_at > NOW()`,
+        [hashToken(newRefreshToken), req.ip, req.headers["user-agent"]?.slice(0, 255) || null, REFRESH_TOKEN_TTL_DAYS, session.id, refreshTokenHash]
+    );
+
+    if (result.affectedRows === 0) {
+        return null;
+    }
+
+    return {
+        userId: session.user_id,
+        token: signAccessToken({ userId: session.user_id, sessionId: session.id }),
+        refreshToken: newRefreshToken,
+    };
+};
+
+const isSessionActive = async (sessionId) => {
+    const [sessions] = await db.promise().query(`SELECT 1 FROM sessions WHERE id = ? AND revoked_at IS NULL AND expires_at > NOW()`, [sessionId]);
+    return sessions.length > 0;
+};
+
+const listSessions = async (userId) => {
+    const [sessions] = await db.promise().query(
+        `SELECT id, user_agent, ip_address, created_at, last_used_at, expires_at
+         FROM sessions
+         WHERE user_id = ? AND revoked_at IS NULL AND expires_at > NOW()
+         ORDER BY last_used_at DESC`,
+        [userId]
+    );
+    return sessions;
+};
+
+// Returns the number of sessions revoked (0 if it didn't belong to the user)
+const revokeSession = async (userId, sessionId) => {
+    const [result] = await db.promise().query(`UPDATE sessions SET revoked_at = NOW() WHERE id = ? AND user_id = ? AND revoked_at IS NULL`, [
+        sessionId,
+        userId,
+    ]);
+    return result.affectedRows;
+};
+
+const revokeAllSessions = async (userId) => {
+    const [result] = await db.promise().query(`UPDATE sessions SET revoked_at = NOW() WHERE user_id = ? AND revoked_at IS NULL`, [userId]);
+    return result.affectedRows;
+};
+
+module.exports = { createSession, rotateSession, isSessionActive, listSessions, revokeSession, revokeAllSessions };
@@ -0,0 +1,340 @@
+const fs = require("fs");
+const path = require("path");
+const { pipeline } = require("stream/promises");
+const express = require("express");
+const { S3Client, PutObjectCommand, DeleteObjectCommand, ListObjectsV2Command, HeadObjectCommand, GetObjectCommand } = require("@aws-sdk/client-s3");
+const { getSignedUrl } = require("@aws-sdk/s3-request-presigner");
+const { AppError } = require("./errors");
+const { signUploadToken, verifyUploadToken } = require("./tokens");
+
+// Media storage. A driver is an object with these methods:
+//   put(key, body, contentType, contentLength) - body is a Buffer or a readable stream
+//   delete(key), url(key), keyFromUrl(url)
+//   list(prefix)     - async iterator of { key, lastModified }, used by the reconciliation job
+//   createUploadUrl(key, { contentType, contentLength, expiresInSeconds }) - URL a client can PUT
+//                      exactly that object to, without the bytes passing through this server
+//   stat(key)        - { size, contentType } or null if there is no such object
+//   download(key, filePath)
+// STORAGE_DRIVER picks one of the built-in drivers ("s3", the default, or "local");
+// setDriver() plugs in another.
+
+// Where the local driver's files are served from, and receive direct uploads, in Express
+const LOCAL_MEDIA_PATH = "/media";
+const LOCAL_UPLOAD_PATH = "/media-uploads";
+
+const createS3Driver = ({ bucket, region, credentials }) => {
+    // Only add checksums when S3 requires them; otherwise presigned URLs would carry the
+    // checksum of an empty body and reject the real upload
+    const client = new S3Client({ region, credentials, requestChecksumCalculation: "WHEN_REQUIRED" });
+    const baseUrl = `https://${bucket}.s3.${region}.amazonaws.com/`;
+
+    return {
+        name: "s3",
+        client,
+        bucket,
+        async put(key, body, contentType, contentLength) {
+            await client.send(
+                new PutObjectCommand({
+                    Bucket: bucket,
+                    Key: key,
+                    Body: body,
+                    ContentType: contentType,
+                    ContentLength: contentLength,
+                    ACL: "public-read",
+                })
+            );
+        },
+        async delete(key) {
+            await client.send(new DeleteObjectCommand({ Bucket: bucket, Key: key }));
+        },
+        async *list(prefix = "") {
+            let continuationToken;
+            do {
+                const page = await client.send(new ListObjectsV2Command({ Bucket: bucket, Prefix: prefix, ContinuationToken: continuationToken }));
+                for (const object of page.Contents || []) {
+                    yield { key: object.Key, lastModified: object.LastModified };
+                }
+                continuationToken = page.IsTruncated ? page.NextContinuationToken : undefined;
+            } while (continuationToken);
+        },
+        async createUploadUrl(key, { contentType, contentLength, expiresInSeconds }) {
+            // Content type and length are signed, so S3 rejects any other file
+            const command = new PutObjectCommand({
+                Bucket: bucket,
+                Key: key,
+                ContentType: contentType,
+                ContentLength: contentLength,
+                ACL: "public-read",
+            });
+            const url = await getSignedUrl(client, command, {
+                expiresIn: expiresInSeconds,
+                signableHeaders: new Set(["content-type", "content-length"]),
+            });
+            return { url, method: "PUT", headers: { "Content-Type": contentType } };
+        },
+        async stat(key) {
+            try {
+                const head = await client.send(new HeadObjectCommand({ Bucket: bucket, Key: key }));
+                return { size: head.ContentLength, contentType: head.ContentType };
+            } catch (err) {
+                if (err.name === "NotFound" || (err.$metadata && err.$metadata.httpStatusCode === 404)) {
+                    return null;
+                }
+                throw err;
+            }
+        },
+        async download(key, filePath) {
+            const object = await client.send(new GetObjectCommand({ Bucket: bucket, Key: key }));
+            await pipeline(object.Body, fs.createWriteStream(filePath));
+        },
+        url(key) {
+            return baseUrl + key;
+        },
+        keyFromUrl(url) {
+            return url && url.startsWith(baseUrl) ? url.slice(baseUrl.length) : null;
+        },
+    };
+};
+
+// Stores files under `rootDir`; they are served by staticHandler() mounted at LOCAL_MEDIA_PATH
+// and direct uploads arrive at uploadHandler() mounted at LOCAL_UPLOAD_PATH
+const createLocalDriver = ({ rootDir, publicUrl }) => {
+    const root = path.resolve(rootDir);
+    const serverUrl = publicUrl.replace(/\/$/, "");
+    const baseUrl = `${serverUrl}${LOCAL_MEDIA_PATH}/`;
+
+    const filePath = (key) => {
+        const resolved = path.resolve(root, key);
+        if (!resolved.startsWith(root + path.sep)) {
+            throw new Error(`Invalid storage key: ${key}`);
+        }
+        return resolved;
+    };
+
+    return {
+        name: "local",
+        rootDir: root,
+        async put(key, body) {
+            const target = filePath(key);
+            await fs.promises.mkdir(path.dirname(target), { recursive: true });
+            if (Buffer.isBuffer(body)) {
+                await fs.promises.writeFile(target, body);
+            } else {
+                await pipeline(body, fs.createWriteStream(target));
+            }
+        },
+        async delete(key) {
+            await fs.promises.rm(filePath(key), { force: true });
+        },
+        async *list(prefix = "") {
+            let entries;
+            try {
+                entries = await fs.promises.readdir(root, { recursive: true, withFileTypes: true });
+            } catch (err) {
+                if (err.code === "ENOENT") return;
+                throw err;
+            }
+
+            for (const entry of entries) {
+                if (!entry.isFile()) continue;
+                const fullPath = path.join(entry.parentPath || entry.path, entry.name);
+                const key = path.relative(root, fullPath).split(path.sep).join("/");
+                if (key.startsWith(prefix)) {
+                    const stats = await fs.promises.stat(fullPath);
+                    yield { key, lastModified: stats.mtime };
+                }
+            }
+        },
+        url(key) {
+            return baseUrl + key;
+        },
+        keyFromUrl(url) {
+            return url && url.startsWith(baseUrl) ? url.slice(baseUrl.length) : null;
+        },
+        async createUploadUrl(key, { contentType, contentLength, expiresInSeconds }) {
+            filePath(key); // rejects keys outside the root before anything is signed
+            const token = signUploadToken({ key, contentType, contentLength }, expiresInSeconds);
+            return { url: `${serverUrl}${LOCAL_UPLOAD_PATH}/${token}`, method: "PUT", headers: { "Content-Type": contentType } };
+        },
+        async stat(key) {
+            try {
+                const stats = await fs.promises.stat(filePath(key));
+                // The content type was checked by uploadHandler() and isn't stored
+                return stats.isFile() ? { size: stats.size, contentType: null } : null;
+            } catch (err) {
+                if (err.code === "ENOENT") return null;
+                throw err;
+            }
+        },
+        async download(key, targetPath) {
+            await fs.promises.copyFile(filePath(key), targetPath);
+        },
+        staticHandler() {
+            return express.static(root, { index: false });
+        },
+        // Accepts PUT /:token like an S3 presigned URL would: the body is streamed to disk and
+        // must match the signed content type and length
+        uploadHandler() {
+            const router = express.Router();
+            router.put("/:token", async (req, res, next) => {
+                let claims;
+                try {
+                    claims = verifyUploadToken(req.params.token);
+                } catch (err) {
+                    return next(new AppError(403, "Upload URL is invalid or has expired.", { code: "INVALID_UPLOAD_URL" }));
+                }
+
+                if (req.headers["content-type"] !== claims.contentType || Number(req.headers["content-length"]) !== claims.contentLength) {
+                    return next(new AppError(400, "Content-Type and Content-Length must match the upload URL.", { code: "UPLOAD_MISMATCH" }));
+                }
+
+                const target = filePath(claims.key);
+                const partial = `${target}.${process.pid}.partial`;
+                let received = 0;
+                try {
+                    await fs.promises.mkdir(path.dirname(target), { recursive: true });
+                    await pipeline(
+                        req,
+                        async function* (source) {
+                            for await (const chunk of source) {
+                                received += chunk.length;
+                                if (received > claims.contentLength) {
+                                    throw new AppError(413, "Upload is larger than the signed Content-Length.");
+                                }
+                                yield chunk;
+                            }
+                        },
+                        fs.createWriteStream(partial)
+                    );
+                    if (received !== claims.contentLength) {
+                        throw new AppError(400, "Upload is smaller than the signed Content-Length.", { code: "UPLOAD_MISMATCH" });
+                    }
+                    await fs.promises.rename(partial, target);
+                    res.status(200).end();
+                } catch (err) {
+                    await fs.promises.rm(partial, { force: true });
+                    next(err);
+                }
+            });
+            return router;
+        },
+    };
+};
+
+const createDefaultDriver = () => {
+    if (process.env.STORAGE_DRIVER === "local") {
+        return createLocalDriver({
+            rootDir: process.env.STORAGE_LOCAL_DIR || path.join(__dirname, "..", "storage"),
+            publicUrl: process.env.STORAGE_PUBLIC_URL || `http://localhost:${process.env.PORT || 5000}`,
+        });
+    }
+
+    return createS3Driver({
+        bucket: process.env.AWS_S3_BUCKET_NAME,
+        region: process.env.AWS_REGION,
+        credentials: {
+            accessKeyId: process.env.AWS_ACCESS_KEY_ID,
+            secretAccessKey: process.env.AWS_SECRET_ACCESS_KEY,
+        },
+    });
+};
+
+let driver;
+
+const getDriver = () => {
+    if (!driver) {
+        driver = createDefaultDriver();
+    }
+    return driver;
+};
+
+const setDriver = (newDriver) => {
+    driver = newDriver;
+};
+
+// `prefix/<timestamp>_<name>` with the name reduced to characters that are safe in URLs and paths
+const buildKey = (prefix, name) => {
+    const safeName = name.replace(/[^a-zA-Z0-9._-]/g, "_").replace(/^\.+/, "") || "file";
+    return `${prefix.replace(/\/$/, "")}/${Date.now()}_${safeName}`;
+};
+
+// True when `key` names an object under `prefix` ("chat/12/" etc.). Keys with ".." segments are
+// rejected so they can't reach outside the prefix on the local driver.
+const isKeyUnder = (key, prefix) => {
+    return typeof key === "string" && key.startsWith(prefix) && !key.split("/").includes("..");
+};
+
+// Store an object and return its public URL. `body` is a Buffer, or a readable stream together
+// with its length in bytes.
+const put = async (key, body, contentType, contentLength) => {
+    try {
+        await getDriver().put(key, body, contentType, contentLength);
+    } catch (err) {
+        throw new AppError(500, "Failed to store media.", { cause: err });
+    }
+    return getDriver().url(key);
+};
+
+const remove = async (key) => {
+    await getDriver().delete(key);
+};
+
+const url = (key) => {
+    return getDriver().url(key);
+};
+
+// The storage key behind a URL returned by put(), or null if the URL isn't ours
+const keyFromUrl = (fileUrl) => {
+    return getDriver().keyFromUrl(fileUrl);
+};
+
+// Async iterator of { key, lastModified } for every stored object under `prefix`
+const list = (prefix) => {
+    return getDriver().list(prefix);
+};
+
+// A URL the client can upload one object to directly: { url, method, headers }
+const createUploadUrl = (key, options) => {
+    return getDriver().createUploadUrl(key, options);
+};
+
+const stat = (key) => {
+    return getDriver().stat(key);
+};
+
+const download = (key, filePath) => {
+    return getDriver().download(key, filePath);
+};
+
+// Express handler serving locally stored files, or null when the driver serves them itself
+const staticHandler = () => {
+    const current = getDriver();
+    return current.staticHandler ? current.staticHandler() : null;
+};
+
+// Express handler receiving direct uploads for the local driver, or null for other drivers
+const uploadHandler = () => {
+    const current = getDriver();
+    return current.uploadHandler ? current.uploadHandler() : null;
+};
+
+module.exports = {
+    LOCAL_MEDIA_PATH,
+    LOCAL_UPLOAD_PATH,
+    createS3Driver,
+    createLocalDriver,
+    getDriver,
+    setDriver,
+    buildKey,
+    isKeyUnder,
+    put,
+    delete: remove,
+    url,
+    keyFromUrl,
+    list,
+    createUploadUrl,
+    stat,
+    download,
+    staticHandler,
+    uploadHandler,
+};
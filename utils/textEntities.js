@@ -0,0 +1,39 @@
+// Parsing of @mentions and #hashtags in post captions and comments
+
+// Matches the username rules in middleware/validate.js. A mention must not follow a word
+// character, so email addresses are not picked up.
+const MENTION_PATTERN = /(?<![\w.@])@([a-zA-Z0-9._]{3,30})(?![a-zA-Z0-9_])/g;
+const HASHTAG_PATTERN = /(?<![\p{L}\p{N}_#&])#([\p{L}\p{N}_]{1,100})/gu;
+
+const MAX_MENTIONS = 20;
+const MAX_HASHTAGS = 30;
+
+// Unique usernames mentioned in `text`, in order of first appearance
+const parseMentions = (text) => {
+    const seen = new Map();
+
+    for (const [, match] of (text || "").matchAll(MENTION_PATTERN)) {
+        // A trailing "." ends the sentence rather than the username
+        const username = match.replace(/\.+$/, "");
+        if (username.length >= 3 && !seen.has(username.toLowerCase())) {
+            seen.set(username.toLowerCase(), username);
+        }
+    }
+
+    return [...seen.values()].slice(0, MAX_MENTIONS);
+};
+
+// Unique lowercase hashtags (without "#") in `text`. All-digit tags like "#1" are ignored.
+const parseHashtags = (text) => {
+    const tags = new Set();
+
+    for (const [, match] of (text || "").matchAll(HASHTAG_PATTERN)) {
+        if (!/^\d+$/.test(match)) {
+            tags.add(match.toLowerCase());
+        }
+    }
+
+    return [...tags].slice(0, MAX_HASHTAGS);
+};
+
+module.exports = { MAX_MENTIONS, MAX_HASHTAGS, parseMentions, parseHashtags };
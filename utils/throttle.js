@@ -0,0 +1,72 @@
+// Failed-attempt throttling with progressive lockouts.
+//
+// A store is any object with async get(key), set(key, value, ttlMs) and delete(key) methods.
+// The in-memory store below is the default; a shared store (e.g. Redis) can be passed to
+// createThrottle() when running more than one server process.
+
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+// Expired entries are dropped on read and by a periodic sweep, so keys that are never read again
+// (e.g. one-off IPs) don't pile up. The sweep timer doesn't keep the process alive.
+const createMemoryStore = ({ sweepIntervalMs = SWEEP_INTERVAL_MS } = {}) => {
+    const entries = new Map();
+
+    setInterval(() => {
+        const now = Date.now();
+        for (const [key, entry] of entries) {
+            if (entry.expiresAt <= now) {
+                entries.delete(key);
+            }
+        }
+    }, sweepIntervalMs).unref();
+
+    return {
+        async get(key) {
+            const entry = entries.get(key);
+            if (!entry) return null;
+            if (entry.expiresAt <= Date.now()) {
+                entries.delete(key);
+                return null;
+            }
+            return entry.value;
+        },
+        async set(key, value, ttlMs) {
+            entries.set(key, { value, expiresAt: Date.now() + ttlMs });
+        },
+        async delete(key) {
+            entries.delete(key);
+        },
+    };
+};
+
+// After maxAttempts failures the key is locked for baseLockSeconds, doubling with every
+// further failure up to maxLockSeconds. Failures are forgotten after windowSeconds of quiet.
+const createThrottle = ({ store = createMemoryStore(), maxAttempts, baseLockSeconds = 30, maxLockSeconds = 15 * 60, windowSeconds = 15 * 60 }) => {
+    // Seconds until the key may try again, 0 if it isn't locked
+    const check = async (key) => {
+        const entry = await store.get(key);
+        if (!entry || !entry.lockedUntil) return 0;
+        return Math.max(0, Math.ceil((entry.lockedUntil - Date.now()) / 1000));
+    };
+
+    const fail = async (key) => {
+        const entry = (await store.get(key)) || { failures: 0, lockedUntil: null };
+        entry.failures += 1;
+
+        let lockSeconds = 0;
+        if (entry.failures >= maxAttempts) {
+            lockSeconds = Math.min(baseLockSeconds * 2 ** (entry.failures - maxAttempts), maxLockSeconds);
+            entry.lockedUntil = Date.now() + lockSeconds * 1000;
+        }
+
+        await store.set(key, entry, Math.max(lockSeconds, windowSeconds) * 1000);
+    };
+
+    const reset = async (key) => {
+        await store.delete(key);
+    };
+
+    return { check, fail, reset };
+};
+
+module.exports = { createMemoryStore, createThrottle };
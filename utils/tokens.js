@@ -0,0 +1,58 @@
+const jwt = require("jsonwebtoken");
+
+const ACCESS_TOKEN_EXPIRES_IN = "1h";
+
+// Every access token carries exactly these claims, however the user logged in:
+//   userId    - id of the authenticated user
+//   sessionId - id of the server-side session the token belongs to
+const getSecret = () => {
+    if (!process.env.JWT_SECRET) {
+        throw new Error("JWT_SECRET is not configured");
+    }
+    return process.env.JWT_SECRET;
+};
+
+const signAccessToken = ({ userId, sessionId }) => jwt.sign({ userId, sessionId }, getSecret(), { expiresIn: ACCESS_TOKEN_EXPIRES_IN });
+
+// Throws if the token is invalid, expired or doesn't match the claims schema
+const verifyAccessToken = (token) => {
+    const decoded = jwt.verify(token, getSecret());
+
+    if (!Number.isInteger(decoded.userId) || !Number.isInteger(decoded.sessionId)) {
+        throw new Error("Malformed token claims");
+    }
+
+    return { userId: decoded.userId, sessionId: decoded.sessionId };
+};
+
+// Action tokens are emailed to users (verification, password reset). The purpose is
+// part of the signed claims so a token issued for one flow can't be used in another.
+const signActionToken = ({ userId, purpose, jti }, expiresInSeconds) =>
+    jwt.sign({ userId, purpose, jti }, getSecret(), { expiresIn: expiresInSeconds });
+
+const verifyActionToken = (token, purpose) => {
+    const decoded = jwt.verify(token, getSecret());
+
+    if (decoded.purpose !== purpose || !Number.isInteger(decoded.userId) || typeof decoded.jti !== "string") {
+        throw new Error("Malformed token claims");
+    }
+
+    return { userId: decoded.userId, jti: decoded.jti };
+};
+
+// Upload tokens authorize a single PUT of one object to the local storage driver, the
+// equivalent of an S3 presigned URL
+const signUploadToken = ({ key, contentType, contentLength }, expiresInSeconds) =>
+    jwt.sign({ key, contentType, contentLength, purpose: "media_upload" }, getSecret(), { expiresIn: expiresInSeconds });
+
+const verifyUploadToken = (token) => {
+    const decoded = jwt.verify(token, getSecret());
+
+    if (decoded.purpose !== "media_upload" || typeof decoded.key !== "string" || !Number.isInteger(decoded.contentLength)) {
+        throw new Error("Malformed token claims");
+    }
+
+    return { key: decoded.key, contentType: decoded.contentType, contentLength: decoded.contentLength };
+};
+
+module.exports = { signAccessToken, verifyAccessToken, signActionToken, verifyActionToken, signUploadToken, verifyUploadToken };
@@ -0,0 +1,75 @@
+const crypto = require("crypto");
+
+// Time-based one-time passwords (RFC 6238) compatible with Google Authenticator, Authy, etc.
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+const BASE32_ALPHABET = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+
+const base32Encode = (buffer) => {
+    let bits = "";
+    for (const byte of buffer) {
+        bits += byte.toString(2).padStart(8, "0");
+    }
+
+    let output = "";
+    for (let i = 0; i < bits.length; i += 5) {
+        output += BASE32_ALPHABET[parseInt(bits.slice(i, i + 5).padEnd(5, "0"), 2)];
+    }
+    return output;
+};
+
+const base32Decode = (input) => {
+    let bits = "";
+    for (const char of input.replace(/=+$/, "").toUpperCase()) {
+        const index = BASE32_ALPHABET.indexOf(char);
+        if (index === -1) {
+            throw new Error("Invalid base32 character");
+        }
+        bits += index.toString(2).padStart(5, "0");
+    }
+
+    const bytes = [];
+    for (let i = 0; i + 8 <= bits.length; i += 8) {
+        bytes.push(parseInt(bits.slice(i, i + 8), 2));
+    }
+    return Buffer.from(bytes);
+};
+
+const generateSecret = () => base32Encode(crypto.randomBytes(20));
+
+const generateCode = (secret, step) => {
+    const counter = Buffer.alloc(8);
+    counter.writeBigUInt64BE(BigInt(step));
+
+    const hmac = crypto.createHmac("sha1", base32Decode(secret)).update(counter).digest();
+    const offset = hmac[hmac.length - 1] & 0x0f;
+    const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+    return String(binary % 10 ** DIGITS).padStart(DIGITS, "0");
+};
+
+const currentStep = () => Math.floor(Date.now() / 1000 / STEP_SECONDS);
+
+// Returns the time step the code matched (allowing one step of clock drift), or null
+const verifyCode = (secret, code, window = 1) => {
+    if (!/^\d{6}$/.test(String(code))) {
+        return null;
+    }
+
+    const step = currentStep();
+    for (let offset = -window; offset <= window; offset++) {
+        const candidate = Buffer.from(generateCode(secret, step + offset));
+        if (crypto.timingSafeEqual(candidate, Buffer.from(String(code)))) {
+            return step + offset;
+        }
+    }
+    return null;
+};
+
+const buildOtpauthUri = (secret, accountName) => {
+    const issuer = process.env.TOTP_ISSUER || "Link";
+    const label = encodeURIComponent(`${issuer}:${accountName}`);
+    return `otpauth://totp/${label}?secret=${secret}&issuer=${encodeURIComponent(issuer)}&algorithm=SHA1&digits=${DIGITS}&period=${STEP_SECONDS}`;
+};
+
+module.exports = { generateSecret, generateCode, currentStep, verifyCode, buildOtpauthUri };
@@ -0,0 +1,100 @@
+const crypto = require("crypto");
+const db = require("../db");
+const { verifyCode } = require("./totp");
+const { signActionToken, verifyActionToken } = require("./tokens");
+
+const CHALLENGE_TTL_SECONDS = 5 * 60;
+const RECOVERY_CODE_COUNT = 10;
+
+const hashCode = (code) => crypto.createHash("sha256").update(code.replace(/-/g, "").toLowerCase()).digest("hex");
+
+// Short-lived token returned by login in place of a session when 2FA is enabled. It is recorded
+// in account_tokens so it can be exchanged for a session only once.
+const issueChallenge = async (userId) => {
+    const jti = crypto.randomBytes(16).toString("hex");
+
+    await db.promise().query(
+        `INSERT INTO account_tokens (user_id, purpose, jti, expires_at)
+         VALUES (?, 'two_factor_challenge', ?, DATE_ADD(NOW(), INTERVAL ? SECOND))`,
+        [userId, jti, CHALLENGE_TTL_SECONDS]
+    );
+
+    return signActionToken({ userId, purpose: "two_factor_challenge", jti }, CHALLENGE_TTL_SECONDS);
+};
+
+// Returns the challenge's { userId, jti }, or null if it's invalid, expired or already used.
+// A wrong code doesn't use up the challenge; consumeChallenge() does once a code is accepted.
+const verifyChallenge = async (challengeToken) => {
+    let claims;
+    try {
+        claims = verifyActionToken(challengeToken, "two_factor_challenge");
+    } catch (err) {
+        return null;
+    }
+
+    const [rows] = await db.promise().query(
+        `SELECT id FROM account_tokens
+         WHERE jti = ? AND user_id = ? AND purpose = 'two_factor_challenge' AND used_at IS NULL AND expires_at > NOW()`,
+        [claims.jti, claims.userId]
+    );
+    return rows.length > 0 ? claims : null;
+};
+
+// Mark a challenge used. Returns false if another request already used it.
+const consumeChallenge = async ({ userId, jti }) => {
+    const [result] = await db.promise().query(
+        `UPDATE account_tokens SET used_at = NOW()
+         WHERE jti = ? AND user_id = ? AND purpose = 'two_factor_challenge' AND used_at IS NULL AND expires_at > NOW()`,
+        [jti, userId]
+    );
+    return result.affectedRows > 0;
+};
+
+// Check a TOTP code against the user's secret, refusing codes from a step that was already used
+const verifyTotpForUser = async (userId, secret, code) => {
+    const step = verifyCode(secret, code);
+    if (step === null) {
+        return false;
+    }
+
+    const [result] = await db.promise().query(
+        `UPDATE users SET totp_last_step = ? WHERE id = ? AND (totp_last_step IS NULL OR totp_last_step < ?)`,
+        [step, userId, step]
+    );
+    return result.affectedRows > 0;
+};
+
+// Replace the user's recovery codes and return the new ones in plain text (shown to the user once)
+const regenerateRecoveryCodes = async (userId) => {
+    const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+        const raw = crypto.randomBytes(5).toString("hex");
+        return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+    });
+
+    await db.promise().query(`DELETE FROM recovery_codes WHERE user_id = ?`, [userId]);
+    await db.promise().query(`INSERT INTO recovery_codes (user_id, code_hash) VALUES ?`, [codes.map((code) => [userId, hashCode(code)])]);
+
+    return codes;
+};
+
+const consumeRecoveryCode = async (userId, code) => {
+    const [result] = await db.promise().query(
+        `UPDATE recovery_codes SET used_at = NOW() WHERE user_id = ? AND code_hash = ? AND used_at IS NULL`,
+        [userId, hashCode(String(code))]
+    );
+    return result.affectedRows > 0;
+};
+
+const deleteRecoveryCodes = async (userId) => {
+    await db.promise().query(`DELETE FROM recovery_codes WHERE user_id = ?`, [userId]);
+};
+
+module.exports = {
+    issueChallenge,
+    verifyChallenge,
+    consumeChallenge,
+    verifyTotpForUser,
+    regenerateRecoveryCodes,
+    consumeRecoveryCode,
+    deleteRecoveryCodes,
+};
@@ -20,14 +20,21 @@ const getTimeAgo = (createdAt) => {
     return `${diffInYears} years ago`;
 };
 
+// Nothing is inserted when either user has blocked the other
 function createNotification(userId, senderId, type, message, postId = null, commentId = null) {
     return new Promise((resolve, reject) => {
         const insertNotificationQuery = `
             INSERT INTO notifications (user_id, sender_id, type, message, post_id, comment_id, created_at)
-            VALUES (?, ?, ?, ?, ?, ?, NOW());
+            SELECT ?, ?, ?, ?, ?, ?, NOW()
+            FROM DUAL
+            WHERE NOT EXISTS (
+                SELECT 1 FROM user_blocks
+                WHERE (blocker_id = ? AND blocked_id = ?) OR (blocker_id = ? AND blocked_id = ?)
+            );
         `;
 
-        db.query(insertNotificationQuery, [userId, senderId, type, message, postId, commentId], (err, result) => {
+        const values = [userId, senderId, type, message, postId, commentId, userId, senderId, senderId, userId];
+        db.query(insertNotificationQuery, values, (err, result) => {
             if (err) {
                 return reject(err);
             }
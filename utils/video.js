@@ -0,0 +1,100 @@
+const fs = require("fs");
+const path = require("path");
+const os = require("os");
+const ffmpeg = require("fluent-ffmpeg");
+const ffmpegPath = require("@ffmpeg-installer/ffmpeg").path;
+const ffprobePath = require("@ffprobe-installer/ffprobe").path;
+const { AppError } = require("./errors");
+
+ffmpeg.setFfmpegPath(ffmpegPath);
+ffmpeg.setFfprobePath(ffprobePath);
+
+// Output limits for transcoded videos; override with VIDEO_MAX_BITRATE_KBPS / VIDEO_MAX_WIDTH
+const maxBitrateKbps = () => parseInt(process.env.VIDEO_MAX_BITRATE_KBPS, 10) || 2500;
+const maxWidth = () => parseInt(process.env.VIDEO_MAX_WIDTH, 10) || 1280;
+
+// Width, height and duration (seconds) of the first video stream
+const probeVideo = (filePath) =>
+    new Promise((resolve, reject) => {
+        ffmpeg.ffprobe(filePath, (err, metadata) => {
+            if (err) {
+                return reject(err);
+            }
+
+            const stream = metadata.streams.find((s) => s.codec_type === "video");
+            if (!stream) {
+                return reject(new Error("No video stream found"));
+            }
+
+            const duration = parseFloat(metadata.format.duration || stream.duration);
+            resolve({
+                width: stream.width || null,
+                height: stream.height || null,
+                duration: Number.isFinite(duration) ? duration : null,
+            });
+        });
+    });
+
+const runFfmpeg = (command) =>
+    new Promise((resolve, reject) => {
+        command.on("end", resolve).on("error", reject).run();
+    });
+
+// Transcode a video to H.264/AAC MP4 (web-safe, capped bitrate and width) and grab a JPEG
+// poster frame, then call `handler({ videoPath, posterPath, width, height, duration })` and
+// return its result. `input` is a Buffer or the path of a file on disk. The output files are
+// removed once the handler settles, so it should stream them wherever they need to go.
+//
+// Dimensions and duration are read from the transcoded file, so they reflect any rotation
+// ffmpeg applied.
+const withProcessedVideo = async (input, handler) => {
+    const workDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), "video-"));
+    const outputPath = path.join(workDir, "output.mp4");
+    const posterPath = path.join(workDir, "poster.jpg");
+
+    try {
+        let inputPath = input;
+        if (Buffer.isBuffer(input)) {
+            inputPath = path.join(workDir, "input");
+            await fs.promises.writeFile(inputPath, input);
+        }
+
+        try {
+            await probeVideo(inputPath);
+        } catch (err) {
+            throw new AppError(400, "The uploaded file is not a readable video.", { code: "INVALID_MEDIA", cause: err });
+        }
+
+        const bitrate = maxBitrateKbps();
+        await runFfmpeg(
+            ffmpeg(inputPath)
+                .videoCodec("libx264")
+                .audioCodec("aac")
+                .audioBitrate("128k")
+                .outputOptions([
+                    "-preset veryfast",
+                    "-crf 23",
+                    `-maxrate ${bitrate}k`,
+                    `-bufsize ${bitrate * 2}k`,
+                    "-pix_fmt yuv420p",
+                    "-profile:v high",
+                    `-vf scale=trunc(min(${maxWidth()}\\,iw)/2)*2:-2`,
+                    "-movflags +faststart",
+                ])
+                .format("mp4")
+                .output(outputPath)
+        );
+
+        const { width, height, duration } = await probeVideo(outputPath);
+
+        // First second, or the middle of very short clips
+        const posterAt = duration ? Math.min(1, duration / 2) : 0;
+        await runFfmpeg(ffmpeg(outputPath).seekInput(posterAt).outputOptions(["-frames:v 1", "-q:v 3"]).output(posterPath));
+
+        return await handler({ videoPath: outputPath, posterPath, width, height, duration });
+    } finally {
+        await fs.promises.rm(workDir, { recursive: true, force: true });
+    }
+};
+
+module.exports = { probeVideo, withProcessedVideo };